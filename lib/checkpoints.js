@@ -0,0 +1,245 @@
+// File checkpoints for Grok CLI
+// Snapshots files before tools change them, so a session's edits can be listed and rewound
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const CHECKPOINTS_DIR = path.join(os.homedir(), '.grok-cli', 'checkpoints');
+const MAX_SNAPSHOT_BYTES = 50 * 1024 * 1024; // larger files and directories are not snapshotted
+const MAX_SESSION_AGE_MS = 14 * 24 * 60 * 60 * 1000; // other sessions' checkpoints are pruned after this
+const MAX_SESSIONS = 50; // and beyond this many, oldest first
+
+/**
+ * Each session gets a directory under CHECKPOINTS_DIR:
+ *
+ *   <sessionId>/manifest.json   { turns: [{ turn, prompt, startedAt }], changes: [...] }
+ *   <sessionId>/blobs/<seq>     copy of the file or directory as it was before the change
+ *
+ * A change records a path the first time a tool touches it in a turn:
+ *   { seq, turn, path, tools, existed, time, blob, skipped }
+ * `existed: false` means the file was created by the tool; rewinding removes it.
+ */
+
+/**
+ * Total size of a file or directory, stopping early once it passes `limit`
+ */
+async function sizeOf(target, limit) {
+    const stat = await fs.lstat(target);
+    if (!stat.isDirectory()) return stat.size;
+
+    let total = 0;
+    for (const entry of await fs.readdir(target)) {
+        total += await sizeOf(path.join(target, entry), limit - total);
+        if (total > limit) break;
+    }
+    return total;
+}
+
+/**
+ * Snapshots for the current session
+ */
+class CheckpointStore {
+    /**
+     * @param {string} baseDir - Directory holding one subdirectory per session
+     * @param {Object} options - { isResumable: (sessionId) => whether the session's history
+     *   is saved; those sessions keep their checkpoints so /changes and /rewind work after resuming }
+     */
+    constructor(baseDir = CHECKPOINTS_DIR, options = {}) {
+        this.baseDir = baseDir;
+        this.isResumable = options.isResumable || (() => false);
+        this.sessionId = null;
+        this.manifest = null;
+        this.turn = null;
+        this.pruned = false;
+    }
+
+    get sessionDir() {
+        return path.join(this.baseDir, this.sessionId);
+    }
+
+    /**
+     * Start a turn: later snapshots are grouped under it
+     * @param {string} sessionId - The chat session the turn belongs to
+     * @param {string} prompt - The user's message, shown by list()
+     */
+    beginTurn(sessionId, prompt) {
+        if (!this.pruned) {
+            // Once per process, so every `grok chat` run does not leave a directory behind for good
+            this.pruned = true;
+            this.prune(sessionId);
+        }
+        if (sessionId !== this.sessionId) {
+            this.sessionId = sessionId;
+            this.manifest = null;
+        }
+        const manifest = this.load();
+        this.turn = manifest.turns.reduce((max, t) => Math.max(max, t.turn), 0) + 1;
+        manifest.turns.push({ turn: this.turn, prompt: String(prompt).slice(0, 200), startedAt: new Date().toISOString() });
+        // Saved with the first change, so turns that touch no files leave nothing on disk
+    }
+
+    load() {
+        if (this.manifest) return this.manifest;
+        try {
+            this.manifest = fs.readJsonSync(path.join(this.sessionDir, 'manifest.json'));
+        } catch (error) {
+            this.manifest = { turns: [], changes: [] };
+        }
+        return this.manifest;
+    }
+
+    save() {
+        const manifest = this.load();
+        const used = new Set(manifest.changes.map(change => change.turn));
+        manifest.turns = manifest.turns.filter(t => used.has(t.turn) || t.turn === this.turn);
+        fs.ensureDirSync(this.sessionDir);
+        fs.writeJsonSync(path.join(this.sessionDir, 'manifest.json'), manifest, { spaces: 2 });
+    }
+
+    /**
+     * Record a file's current contents before a tool changes it. Only the first
+     * change to a path in each turn is recorded.
+     * @param {string} filePath - Absolute path about to be written or deleted
+     * @param {string} tool - Name of the tool making the change
+     * @returns {Promise<Object|null>} The change entry, or null outside a turn
+     */
+    async snapshot(filePath, tool) {
+        if (!this.sessionId || this.turn === null) return null;
+        const manifest = this.load();
+
+        const existing = manifest.changes.find(change => change.turn === this.turn && change.path === filePath);
+        if (existing) {
+            if (!existing.tools.includes(tool)) {
+                existing.tools.push(tool);
+                this.save();
+            }
+            return existing;
+        }
+
+        const seq = manifest.changes.reduce((max, change) => Math.max(max, change.seq), 0) + 1;
+        const change = { seq, turn: this.turn, path: filePath, tools: [tool], existed: false, time: new Date().toISOString(), blob: null };
+
+        if (await fs.pathExists(filePath)) {
+            change.existed = true;
+            const size = await sizeOf(filePath, MAX_SNAPSHOT_BYTES);
+            if (size > MAX_SNAPSHOT_BYTES) {
+                change.skipped = `larger than ${MAX_SNAPSHOT_BYTES / 1024 / 1024} MB`;
+            } else {
+                change.blob = String(seq);
+                await fs.copy(filePath, path.join(this.sessionDir, 'blobs', change.blob), { dereference: false });
+            }
+        }
+
+        manifest.changes.push(change);
+        this.save();
+        return change;
+    }
+
+    /**
+     * Remove other sessions' checkpoints once they are older than MAX_SESSION_AGE_MS
+     * or there are more than MAX_SESSIONS, counting the kept session. Sessions that
+     * can still be resumed are left alone.
+     * @param {string} keepSessionId - Session that is never pruned
+     * @returns {number} Sessions removed
+     */
+    prune(keepSessionId = this.sessionId) {
+        let names;
+        try {
+            names = fs.readdirSync(this.baseDir);
+        } catch (error) {
+            return 0;
+        }
+
+        const sessions = [];
+        for (const name of names) {
+            if (name === keepSessionId || this.isResumable(name)) continue;
+            try {
+                sessions.push({ dir: path.join(this.baseDir, name), mtime: fs.statSync(path.join(this.baseDir, name, 'manifest.json')).mtimeMs });
+            } catch (error) {
+                // Not a session directory
+            }
+        }
+        sessions.sort((a, b) => b.mtime - a.mtime);
+
+        let removed = 0;
+        sessions.forEach((session, i) => {
+            // keepSessionId takes one of the MAX_SESSIONS places
+            if (i < MAX_SESSIONS - 1 && Date.now() - session.mtime <= MAX_SESSION_AGE_MS) return;
+            try {
+                fs.removeSync(session.dir);
+                removed++;
+            } catch (error) {
+                // Try again next time
+            }
+        });
+        return removed;
+    }
+
+    /**
+     * The session's changes grouped by turn, oldest first
+     * @returns {Array<{turn, prompt, startedAt, changes}>}
+     */
+    list(sessionId = this.sessionId) {
+        if (sessionId !== this.sessionId) {
+            this.sessionId = sessionId;
+            this.manifest = null;
+            this.turn = null;
+        }
+        if (!this.sessionId) return [];
+
+        const manifest = this.load();
+        return manifest.turns
+            .map(t => ({ ...t, changes: manifest.changes.filter(change => change.turn === t.turn) }))
+            .filter(t => t.changes.length > 0);
+    }
+
+    /**
+     * Restore every path changed after `since` to how it was before its first
+     * such change, then forget those changes
+     * @param {string} since - ISO timestamp; changes recorded after it are undone
+     * @returns {Promise<Array<{path, action, error?}>>} What happened to each path
+     */
+    async rewind(since) {
+        const manifest = this.load();
+        const undone = manifest.changes.filter(change => change.time > since);
+
+        // The earliest snapshot of each path is the state to go back to
+        const earliest = new Map();
+        for (const change of undone) {
+            if (!earliest.has(change.path)) earliest.set(change.path, change);
+        }
+
+        const results = [];
+        for (const change of earliest.values()) {
+            try {
+                if (!change.existed) {
+                    await fs.remove(change.path);
+                    results.push({ path: change.path, action: 'removed' });
+                } else if (change.blob) {
+                    await fs.remove(change.path);
+                    await fs.copy(path.join(this.sessionDir, 'blobs', change.blob), change.path);
+                    results.push({ path: change.path, action: 'restored' });
+                } else {
+                    results.push({ path: change.path, action: 'skipped', error: `no snapshot (${change.skipped})` });
+                }
+            } catch (error) {
+                results.push({ path: change.path, action: 'failed', error: error.message });
+            }
+        }
+
+        for (const change of undone) {
+            if (change.blob) await fs.remove(path.join(this.sessionDir, 'blobs', change.blob));
+        }
+        manifest.changes = manifest.changes.filter(change => change.time <= since);
+        this.save();
+        return results;
+    }
+}
+
+module.exports = {
+    CHECKPOINTS_DIR,
+    MAX_SESSION_AGE_MS,
+    MAX_SESSIONS,
+    CheckpointStore
+};
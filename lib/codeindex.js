@@ -0,0 +1,309 @@
+// Local code index for Grok CLI
+// Splits workspace files into function/section chunks and ranks them with BM25, fully offline
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { IgnoreRules, isBinaryFile, walkFiles } = require('./files');
+
+const INDEX_DIR = path.join(os.homedir(), '.grok-cli', 'index');
+const INDEX_VERSION = 1;
+const MAX_INDEX_FILES = 20000;
+const MAX_INDEX_FILE_BYTES = 512 * 1024;
+const MAX_CHUNK_LINES = 80;
+const MIN_CHUNK_LINES = 3; // shorter chunks are merged into a neighbour
+const DEFAULT_RESULT_LIMIT = 8;
+const MAX_RESULT_CHARS = 4000; // per chunk returned
+const YIELD_EVERY = 100; // files between event loop turns while updating, so spinners keep moving
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in', 'is', 'it',
+    'of', 'on', 'or', 'the', 'this', 'to', 'was', 'with', 'what', 'where', 'how', 'does', 'do'
+]);
+
+// Start of a function, class or similar definition in most mainstream languages;
+// checked on lines indented at most one level, so class members start chunks too
+const DEFINITION = new RegExp([
+    String.raw`^(?:export\s+(?:default\s+)?)?(?:(?:public|private|protected|static|async|abstract|pub(?:\(crate\))?)\s+)*` +
+        String.raw`(?:function\*?|class|interface|enum|type|struct|trait|impl|def|fn|func|module|namespace)\b`,
+    // Method shorthand, e.g. `async load(path) {`, but not `if (ready) {`
+    String.raw`^(?:(?:static|async|get|set)\s+)*(?!(?:if|for|while|switch|catch|with|return)\b)[\w$]+\s*\([^)]*\)\s*\{\s*$`
+].join('|'));
+// Functions assigned to a top-level variable, e.g. `const load = async (path) => {`
+const TOP_LEVEL_FUNCTION = /^(?:export\s+)?(?:const|let|var)\s+[\w$]+\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/;
+const COMMENT = /^\s*(\/\/|#|\/\*|\*|@)/;
+const HEADING = /^#{1,6}\s/;
+const MARKDOWN_EXTENSIONS = new Set(['.md', '.markdown', '.mdx', '.rst', '.txt']);
+
+/**
+ * Lowercased search terms: whole identifiers plus their camelCase and snake_case parts
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const word of String(text).match(/[A-Za-z_$][A-Za-z0-9_$]*|\d+/g) || []) {
+        const lower = word.toLowerCase();
+        if (lower.length > 1 && !STOPWORDS.has(lower)) tokens.push(lower);
+
+        const parts = word.split(/[_$]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(Boolean);
+        if (parts.length > 1) {
+            for (const part of parts) {
+                const p = part.toLowerCase();
+                if (p.length > 1 && !STOPWORDS.has(p)) tokens.push(p);
+            }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Split a file's lines into chunks at definitions (code) or headings (markdown and text)
+ * @returns {Array<{start: number, end: number}>} 1-based inclusive line ranges
+ */
+function chunkLines(lines, filePath) {
+    const markdown = MARKDOWN_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+    const isBoundary = i => {
+        const line = lines[i];
+        if (markdown) return HEADING.test(line);
+        const indent = line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+        return (indent <= 4 && DEFINITION.test(line.trim())) || TOP_LEVEL_FUNCTION.test(line);
+    };
+
+    // Definitions take their leading comments and decorators with them
+    const starts = [0];
+    for (let i = 1; i < lines.length; i++) {
+        if (!isBoundary(i)) continue;
+        let start = i;
+        while (!markdown && start > starts[starts.length - 1] + 1 && COMMENT.test(lines[start - 1])) start--;
+        if (start > starts[starts.length - 1]) starts.push(start);
+    }
+
+    // Long sections are cut into windows; `continued` marks windows after the first
+    const pieces = [];
+    starts.forEach((start, i) => {
+        const end = i + 1 < starts.length ? starts[i + 1] : lines.length;
+        for (let from = start; from < end; from += MAX_CHUNK_LINES) {
+            pieces.push({ start: from + 1, end: Math.min(end, from + MAX_CHUNK_LINES), continued: from > start });
+        }
+    });
+
+    // A short tail joins the window before it; a short header, like a bare class line, the chunk after it
+    const chunks = [];
+    let carry = null;
+    for (const piece of pieces) {
+        const chunk = { start: carry ? carry.start : piece.start, end: piece.end };
+        carry = null;
+        const short = chunk.end - chunk.start + 1 < MIN_CHUNK_LINES;
+        if (short && piece.continued && chunks.length) {
+            chunks[chunks.length - 1].end = chunk.end;
+        } else if (short && piece !== pieces[pieces.length - 1]) {
+            carry = chunk;
+        } else {
+            chunks.push(chunk);
+        }
+    }
+    return chunks.filter(chunk => lines.slice(chunk.start - 1, chunk.end).some(line => line.trim()));
+}
+
+/**
+ * Index file for a workspace root
+ */
+function indexPathFor(root) {
+    const hash = crypto.createHash('sha1').update(path.resolve(root)).digest('hex').slice(0, 12);
+    return path.join(INDEX_DIR, `${path.basename(root) || 'root'}-${hash}.json`);
+}
+
+/**
+ * A BM25 index of a workspace's chunks, stored under ~/.grok-cli/index
+ */
+class CodeIndex {
+    /**
+     * @param {string} root - Workspace root; results are relative to it
+     * @param {Object} options - { indexPath }
+     */
+    constructor(root, options = {}) {
+        this.root = path.resolve(root);
+        this.indexPath = options.indexPath || indexPathFor(this.root);
+        this.data = null;
+    }
+
+    /**
+     * Read the index from disk
+     * @returns {boolean} Whether a usable index exists
+     */
+    load() {
+        if (this.data) return true;
+        try {
+            const data = fs.readJsonSync(this.indexPath);
+            if (data.version !== INDEX_VERSION || data.root !== this.root) return false;
+            this.data = data;
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Bring the index up to date: files whose mtime or size changed are re-chunked,
+     * deleted files are dropped. The index file is only rewritten when something changed.
+     * @param {Object} options - { rebuild: ignore the existing index, accept: filter for absolute paths,
+     *   onProgress: called with (done, total) files }
+     * @returns {Promise<{added, updated, removed, unchanged, files, chunks, limited}>} Counts
+     */
+    async update(options = {}) {
+        const existed = this.load();
+        const previous = !options.rebuild && existed ? this.data.files : {};
+        const accept = options.accept || (() => true);
+        const files = {};
+        const stats = { added: 0, updated: 0, removed: 0, unchanged: 0, files: 0, chunks: 0, limited: false };
+
+        const ignore = new IgnoreRules(this.root);
+        const found = walkFiles(this.root, { ignore, limit: MAX_INDEX_FILES + 1 });
+        if (found.length > MAX_INDEX_FILES) {
+            found.length = MAX_INDEX_FILES;
+            stats.limited = true;
+        }
+
+        for (const [i, file] of found.entries()) {
+            if (i % YIELD_EVERY === 0) {
+                if (options.onProgress) options.onProgress(i, found.length);
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            if (!accept(file)) continue;
+            let stat;
+            try {
+                stat = fs.statSync(file);
+            } catch (error) {
+                continue;
+            }
+            if (stat.size > MAX_INDEX_FILE_BYTES) continue;
+
+            const relative = path.relative(this.root, file).split(path.sep).join('/');
+            const known = previous[relative];
+            if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) {
+                files[relative] = known;
+                stats.unchanged++;
+                continue;
+            }
+            if (isBinaryFile(file)) continue;
+
+            let text;
+            try {
+                text = fs.readFileSync(file, 'utf-8');
+            } catch (error) {
+                continue;
+            }
+            files[relative] = { mtimeMs: stat.mtimeMs, size: stat.size, chunks: this.chunkFile(relative, text) };
+            stats[known ? 'updated' : 'added']++;
+        }
+
+        stats.removed = Object.keys(previous).filter(relative => !files[relative]).length;
+        stats.files = Object.keys(files).length;
+        stats.chunks = Object.values(files).reduce((sum, entry) => sum + entry.chunks.length, 0);
+
+        if (existed && !options.rebuild && stats.added + stats.updated + stats.removed === 0) {
+            return stats;
+        }
+        this.data = { version: INDEX_VERSION, root: this.root, updatedAt: new Date().toISOString(), files };
+        fs.ensureDirSync(path.dirname(this.indexPath));
+        await fs.writeJson(this.indexPath, this.data);
+        return stats;
+    }
+
+    /**
+     * Chunk a file and count each chunk's terms; the path's terms count toward every chunk
+     */
+    chunkFile(relative, text) {
+        const lines = text.split(/\r?\n/);
+        const pathTokens = tokenize(relative);
+        return chunkLines(lines, relative).map(chunk => {
+            const body = lines.slice(chunk.start - 1, chunk.end);
+            const tokens = [...pathTokens, ...tokenize(body.join('\n'))];
+            const tf = {};
+            for (const token of tokens) tf[token] = (tf[token] || 0) + 1;
+            // The definition or heading line, past any leading comment
+            const markdown = MARKDOWN_EXTENSIONS.has(path.extname(relative).toLowerCase());
+            const title = (body.find(line => /\w/.test(line) && (markdown || !COMMENT.test(line))) ||
+                body.find(line => line.trim()) || '').trim().slice(0, 100);
+            return { start: chunk.start, end: chunk.end, title, length: tokens.length, tf };
+        });
+    }
+
+    /**
+     * Rank chunks against a query with BM25
+     * @returns {Array<{file, start, end, title, score, content}>} Best first; content is read from disk
+     */
+    search(query, options = {}) {
+        if (!this.load()) return [];
+        const limit = options.limit || DEFAULT_RESULT_LIMIT;
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) return [];
+
+        const chunks = [];
+        for (const [file, entry] of Object.entries(this.data.files)) {
+            for (const chunk of entry.chunks) chunks.push({ file, chunk });
+        }
+        if (chunks.length === 0) return [];
+
+        const averageLength = chunks.reduce((sum, c) => sum + c.chunk.length, 0) / chunks.length;
+        const idf = {};
+        for (const term of terms) {
+            const df = chunks.filter(c => c.chunk.tf[term]).length;
+            idf[term] = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+        }
+
+        const scored = [];
+        for (const { file, chunk } of chunks) {
+            let score = 0;
+            for (const term of terms) {
+                const tf = chunk.tf[term];
+                if (!tf) continue;
+                score += idf[term] * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * chunk.length / averageLength));
+            }
+            if (score > 0) scored.push({ file, chunk, score });
+        }
+        scored.sort((a, b) => b.score - a.score || a.file.localeCompare(b.file) || a.chunk.start - b.chunk.start);
+
+        return scored.slice(0, limit).map(({ file, chunk, score }) => ({
+            file,
+            start: chunk.start,
+            end: chunk.end,
+            title: chunk.title,
+            score: Math.round(score * 100) / 100,
+            content: this.readChunk(file, chunk)
+        }));
+    }
+
+    readChunk(file, chunk) {
+        try {
+            const lines = fs.readFileSync(path.join(this.root, file), 'utf-8').split(/\r?\n/);
+            const text = lines.slice(chunk.start - 1, chunk.end).join('\n').trimEnd();
+            return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}\n[…]` : text;
+        } catch (error) {
+            return `[could not read ${file}: ${error.message}]`;
+        }
+    }
+}
+
+/**
+ * Render search results as context for the model
+ */
+function formatChunks(results) {
+    return results
+        .map(result => `--- ${result.file}:${result.start}-${result.end}\n${result.content}`)
+        .join('\n\n');
+}
+
+module.exports = {
+    INDEX_DIR,
+    DEFAULT_RESULT_LIMIT,
+    tokenize,
+    chunkLines,
+    indexPathFor,
+    CodeIndex,
+    formatChunks
+};
@@ -0,0 +1,230 @@
+// Custom slash commands for Grok CLI
+// Markdown prompt templates in ~/.grok-cli/commands and .grok/commands become /name commands
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { findGitRoot } = require('./memory');
+
+const USER_COMMANDS_DIR = path.join(os.homedir(), '.grok-cli', 'commands');
+const PROJECT_COMMANDS_DIR = path.join('.grok', 'commands');
+
+// Shell output inclusion: !`git diff --staged`
+const SHELL_PATTERN = /!`([^`\n]+)`/g;
+// Argument placeholders: $ARGUMENTS and $1, $2, ...
+const PLACEHOLDER_PATTERN = /\$ARGUMENTS\b|\$(\d+)/g;
+
+/**
+ * Command files are markdown named after the command, e.g. .grok/commands/review.md:
+ *
+ *   ---
+ *   description: Review staged changes
+ *   argument-hint: [focus]
+ *   model: grok-3
+ *   allowed-tools: [read_file, list_directory]
+ *   ---
+ *   Review this diff, focusing on $ARGUMENTS:
+ *
+ *   !`git diff --staged`
+ *
+ * The frontmatter is optional. `$ARGUMENTS` is everything typed after the command,
+ * `$1`, `$2`, ... are single arguments ("quoted words" count as one).
+ */
+
+function isValidCommandName(name) {
+    return /^[a-z0-9][a-z0-9_-]*$/i.test(name);
+}
+
+/**
+ * Split a frontmatter block from a markdown file.
+ * Values are strings, `[a, b]` lists, or `- item` lists on the following lines.
+ * @returns {{attributes: Object, body: string}}
+ */
+function parseFrontmatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) return { attributes: {}, body: text };
+
+    const attributes = {};
+    let listKey = null;
+    for (const line of match[1].split(/\r?\n/)) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+
+        const item = line.match(/^\s+-\s+(.*)$/);
+        if (item && listKey) {
+            attributes[listKey].push(unquote(item[1].trim()));
+            continue;
+        }
+
+        const pair = line.match(/^([A-Za-z][\w-]*)\s*:\s*(.*)$/);
+        if (!pair) continue;
+        const [, key, raw] = pair;
+        const value = raw.trim();
+        listKey = null;
+
+        if (!value) {
+            attributes[key] = [];
+            listKey = key;
+        } else if (/^\[[^[\]]*\]$/.test(value)) {
+            attributes[key] = value.slice(1, -1).split(',').map(v => unquote(v.trim())).filter(Boolean);
+        } else {
+            attributes[key] = unquote(value);
+        }
+    }
+
+    return { attributes, body: text.slice(match[0].length) };
+}
+
+function unquote(value) {
+    return value.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+/**
+ * Accept a tool list written as a YAML list or a comma/space separated string
+ */
+function toList(value) {
+    if (value === undefined) return null;
+    if (Array.isArray(value)) return value;
+    return String(value).split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Read one command file
+ * @returns {Object} { name, description, argumentHint, model, allowedTools, template, scope, path }
+ */
+function readCommandFile(filePath, scope) {
+    const name = path.basename(filePath, '.md');
+    const { attributes, body } = parseFrontmatter(fs.readFileSync(filePath, 'utf-8'));
+    const description = typeof attributes.description === 'string' ? attributes.description : '';
+    const hint = attributes['argument-hint'];
+
+    return {
+        name,
+        description: description || body.trim().split('\n')[0].slice(0, 60),
+        // "[focus]" parses as a one-item list; show it the way it was written
+        argumentHint: Array.isArray(hint) && hint.length ? `[${hint.join(', ')}]` : (typeof hint === 'string' ? hint : ''),
+        model: typeof attributes.model === 'string' ? attributes.model : null,
+        allowedTools: toList(attributes['allowed-tools']),
+        template: body.trim(),
+        scope,
+        path: filePath
+    };
+}
+
+/**
+ * Project command directory: .grok/commands under the git root, or cwd outside a repository
+ */
+function projectCommandsDir(cwd = process.cwd()) {
+    return path.join(findGitRoot(cwd) || path.resolve(cwd), PROJECT_COMMANDS_DIR);
+}
+
+/**
+ * Discover custom commands. Project commands override user commands of the same
+ * name; names in `reserved` (the built-in commands) are never overridden.
+ * @param {Object} options - { cwd, userDir, reserved: Set of names without "/" }
+ * @returns {Array<Object>} Commands sorted by name; unreadable files carry an `error`
+ */
+function loadCustomCommands(options = {}) {
+    const { cwd = process.cwd(), userDir = USER_COMMANDS_DIR, reserved = new Set() } = options;
+    const commands = new Map();
+
+    const sources = [
+        { dir: userDir, scope: 'user' },
+        { dir: projectCommandsDir(cwd), scope: 'project' }
+    ];
+    for (const { dir, scope } of sources) {
+        let files;
+        try {
+            files = fs.readdirSync(dir).filter(f => f.endsWith('.md'));
+        } catch (error) {
+            continue; // No commands directory
+        }
+
+        for (const file of files) {
+            const name = path.basename(file, '.md');
+            if (!isValidCommandName(name) || reserved.has(name.toLowerCase())) continue;
+
+            const filePath = path.join(dir, file);
+            try {
+                commands.set(name.toLowerCase(), readCommandFile(filePath, scope));
+            } catch (error) {
+                commands.set(name.toLowerCase(), { name, description: `(invalid: ${error.message})`, scope, path: filePath, error: error.message });
+            }
+        }
+    }
+
+    return [...commands.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Split command arguments on whitespace, keeping "quoted strings" together
+ */
+function splitArguments(text) {
+    const args = [];
+    const pattern = /"((?:\\.|[^"\\])*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[1] !== undefined) {
+            args.push(match[1].replace(/\\(.)/g, '$1'));
+        } else {
+            args.push(match[2] !== undefined ? match[2] : match[3]);
+        }
+    }
+    return args;
+}
+
+/**
+ * Expand a command template into a prompt.
+ * Arguments are substituted into shell inclusions too, but only the template's
+ * own !`...` blocks are run, never text that came in through the arguments:
+ * in a shell command a placeholder becomes a quoted variable ("$GROK_ARG_1",
+ * "$GROK_ARGUMENTS") whose value is passed in the environment.
+ * When the template has no placeholders, typed arguments are appended.
+ * @param {Object} command - Loaded command
+ * @param {string} argsText - Everything typed after the command name
+ * @param {Function} runShell - async (command, { env, usesArguments }) => output, for !`...` inclusions
+ * @returns {Promise<string>}
+ */
+async function renderCommand(command, argsText, runShell) {
+    const args = splitArguments(argsText);
+    const env = { GROK_ARGUMENTS: argsText };
+
+    let usedArguments = false;
+    const substitute = (text) => text.replace(PLACEHOLDER_PATTERN, (match, index) => {
+        usedArguments = true;
+        return index ? (args[Number(index) - 1] ?? '') : argsText;
+    });
+    const substituteShell = (text) => text.replace(PLACEHOLDER_PATTERN, (match, index) => {
+        usedArguments = true;
+        if (!index) return '"$GROK_ARGUMENTS"';
+        const name = `GROK_ARG_${Number(index)}`;
+        env[name] = args[Number(index) - 1] ?? '';
+        return `"$${name}"`;
+    });
+
+    // Run inclusions one at a time, in order, so side effects are predictable
+    const parts = [];
+    let last = 0;
+    for (const inclusion of command.template.matchAll(SHELL_PATTERN)) {
+        parts.push(substitute(command.template.slice(last, inclusion.index)));
+        const shellCommand = substituteShell(inclusion[1]);
+        parts.push(await runShell(shellCommand, { env, usesArguments: shellCommand !== inclusion[1] }));
+        last = inclusion.index + inclusion[0].length;
+    }
+    parts.push(substitute(command.template.slice(last)));
+
+    let prompt = parts.join('');
+    if (!usedArguments && argsText) {
+        prompt += `\n\n${argsText}`;
+    }
+    return prompt;
+}
+
+module.exports = {
+    USER_COMMANDS_DIR,
+    PROJECT_COMMANDS_DIR,
+    parseFrontmatter,
+    projectCommandsDir,
+    loadCustomCommands,
+    splitArguments,
+    renderCommand
+};
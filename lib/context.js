@@ -0,0 +1,149 @@
+// Context window budgeting for Grok CLI
+// Offline token estimates and history compaction so requests fit the model's window
+
+const DEFAULT_CONTEXT_WINDOW = 131072;
+const MESSAGE_OVERHEAD_TOKENS = 4; // role and separator tokens per message
+const IMAGE_TOKENS = 765; // rough cost of a high-detail image part
+const SAFETY_MARGIN = 0.05; // headroom for estimator error
+const SUMMARY_ALLOWANCE = 1024; // room reserved for the summary that replaces compacted turns
+const MIN_RECENT_MESSAGES = 2; // never compact the latest exchange
+
+/**
+ * Estimate the token count of a string without a tokenizer.
+ * Words cost one token per ~4 letters, numbers one per 3 digits,
+ * and every other non-space character (punctuation, CJK, emoji) one each.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+
+    const pieces = String(text).match(/[A-Za-z]+|\d{1,3}|[^\sA-Za-z\d]/g) || [];
+    let tokens = 0;
+    for (const piece of pieces) {
+        tokens += /^[A-Za-z]/.test(piece) ? Math.ceil(piece.length / 4) : 1;
+    }
+    return tokens;
+}
+
+/**
+ * Estimate tokens for a single chat message, including multi-part content and tool calls
+ */
+function estimateMessageTokens(message) {
+    let tokens = MESSAGE_OVERHEAD_TOKENS;
+
+    if (Array.isArray(message.content)) {
+        for (const part of message.content) {
+            tokens += part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text);
+        }
+    } else {
+        tokens += estimateTokens(message.content);
+    }
+
+    if (message.tool_calls) {
+        tokens += estimateTokens(JSON.stringify(message.tool_calls));
+    }
+
+    return tokens;
+}
+
+/**
+ * Estimate tokens for a list of chat messages
+ */
+function estimateMessagesTokens(messages) {
+    return messages.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+}
+
+/**
+ * Estimate tokens consumed by tool definitions sent with a request
+ */
+function estimateToolsTokens(tools) {
+    if (!tools || tools.length === 0) return 0;
+    return estimateTokens(JSON.stringify(tools));
+}
+
+/**
+ * Tokens available for the prompt once the reply (maxTokens) and a safety margin are reserved
+ * @param {number} contextWindow - Model context window in tokens
+ * @param {number} maxTokens - Tokens reserved for the completion
+ * @returns {number}
+ */
+function computePromptBudget(contextWindow, maxTokens) {
+    const window = contextWindow || DEFAULT_CONTEXT_WINDOW;
+    return Math.max(0, Math.floor(window * (1 - SAFETY_MARGIN)) - (maxTokens || 0));
+}
+
+/**
+ * Decide how many leading history messages must be compacted to fit a budget.
+ * The kept tail always starts at a user message and keeps the latest exchange.
+ * @param {Array} messages - History messages in API shape
+ * @param {number} budget - Tokens available for history
+ * @returns {number} Number of leading messages to compact (0 when history fits)
+ */
+function planCompaction(messages, budget) {
+    if (estimateMessagesTokens(messages) <= budget) return 0;
+
+    const maxCompact = Math.max(0, messages.length - MIN_RECENT_MESSAGES);
+    let count = 0;
+
+    while (count < maxCompact) {
+        count++;
+        const kept = messages.slice(count);
+        if (kept[0].role !== 'user') continue;
+        if (estimateMessagesTokens(kept) + SUMMARY_ALLOWANCE <= budget) break;
+    }
+
+    // Land on a user-message boundary even when the budget cannot be met
+    while (count > 0 && count < messages.length && messages[count].role !== 'user') {
+        count--;
+    }
+
+    return count;
+}
+
+/**
+ * Build the request that asks the model to summarize compacted turns
+ * @param {Array} messages - Messages being compacted
+ * @param {number} maxInputTokens - Cap on the transcript size sent for summarization
+ * @returns {Array} Chat messages for the summarization request
+ */
+function buildSummaryRequest(messages, maxInputTokens) {
+    const maxChars = Math.max(4000, maxInputTokens * 4);
+    let transcript = messages
+        .map(m => `${m.role.toUpperCase()}: ${typeof m.content === 'string' ? m.content : JSON.stringify(m.content)}`)
+        .join('\n\n');
+
+    if (transcript.length > maxChars) {
+        // Keep the most recent part of what is being compacted
+        transcript = '[…]\n' + transcript.slice(transcript.length - maxChars);
+    }
+
+    return [
+        {
+            role: 'system',
+            content: 'You compress chat transcripts. Summarize the conversation below so it can replace the original turns. ' +
+                'Keep decisions, facts, file names, code identifiers, open questions, and user preferences. ' +
+                'Write concise bullet points and do not add commentary.'
+        },
+        { role: 'user', content: transcript }
+    ];
+}
+
+/**
+ * Summary used when compaction drops turns without asking the model
+ */
+function truncationNotice(count) {
+    return `[${count} earlier message${count === 1 ? ' was' : 's were'} removed to fit the context window]`;
+}
+
+module.exports = {
+    DEFAULT_CONTEXT_WINDOW,
+    estimateTokens,
+    estimateMessageTokens,
+    estimateMessagesTokens,
+    estimateToolsTokens,
+    computePromptBudget,
+    planCompaction,
+    buildSummaryRequest,
+    truncationNotice
+};
@@ -0,0 +1,245 @@
+// Line diffs for Grok CLI
+// Unified diff hunks between two texts, coloured rendering and applying a subset of hunks
+
+const chalk = require('chalk');
+
+const CONTEXT_LINES = 3;
+const MAX_EDIT_DISTANCE = 2000; // past this, the changed region is shown as one replacement
+
+/**
+ * Split text into lines, keeping each line's "\n" so joining them gives the text back
+ */
+function splitLines(text) {
+    return text ? text.match(/[^\n]*\n|[^\n]+$/g) : [];
+}
+
+/**
+ * Shortest edit script between two line arrays (Myers' algorithm)
+ * @returns {Array<{type: ' '|'-'|'+', text: string}>} Every line, in order
+ */
+function diffLines(oldLines, newLines) {
+    // Common prefix and suffix are cheap to strip and keep the search small
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+    let found = false;
+
+    search:
+    for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+        // Only diagonals -d-1..d+1 are read when walking back from step d
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break search;
+            }
+        }
+    }
+
+    const keep = lines => lines.map(text => ({ type: ' ', text }));
+    if (!found) {
+        return [
+            ...keep(oldLines.slice(0, start)),
+            ...a.map(text => ({ type: '-', text })),
+            ...b.map(text => ({ type: '+', text })),
+            ...keep(oldLines.slice(oldEnd))
+        ];
+    }
+
+    // Walk the trace back from the end to recover the edits
+    const middle = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d];
+        const at = diagonal => previous[diagonal + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            middle.push({ type: ' ', text: a[--x] });
+            y--;
+        }
+        if (x === prevX) {
+            middle.push({ type: '+', text: b[--y] });
+        } else {
+            middle.push({ type: '-', text: a[--x] });
+        }
+    }
+    while (x > 0 && y > 0) {
+        middle.push({ type: ' ', text: a[--x] });
+        y--;
+    }
+    middle.reverse();
+
+    return [...keep(oldLines.slice(0, start)), ...middle, ...keep(oldLines.slice(oldEnd))];
+}
+
+/**
+ * Group the changes between two texts into unified diff hunks
+ * @returns {Array<Object>} Hunks: { oldStart, oldLines, newStart, newLines, lines }
+ *   where oldStart/newStart are 0-based line indexes and lines are { type, text }
+ */
+function buildHunks(oldText, newText, context = CONTEXT_LINES) {
+    const edits = diffLines(splitLines(oldText), splitLines(newText));
+
+    // Old and new line index at each edit
+    const positions = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+    for (const edit of edits) {
+        positions.push({ oldIndex, newIndex });
+        if (edit.type !== '+') oldIndex++;
+        if (edit.type !== '-') newIndex++;
+    }
+
+    // Changes separated by no more than twice the context share a hunk
+    const ranges = [];
+    edits.forEach((edit, i) => {
+        if (edit.type === ' ') return;
+        const last = ranges[ranges.length - 1];
+        if (last && i - last.end <= 2 * context + 1) {
+            last.end = i;
+        } else {
+            ranges.push({ start: i, end: i });
+        }
+    });
+
+    return ranges.map(range => {
+        const from = Math.max(0, range.start - context);
+        const to = Math.min(edits.length, range.end + context + 1);
+        const lines = edits.slice(from, to);
+        return {
+            oldStart: positions[from].oldIndex,
+            oldLines: lines.filter(line => line.type !== '+').length,
+            newStart: positions[from].newIndex,
+            newLines: lines.filter(line => line.type !== '-').length,
+            lines
+        };
+    });
+}
+
+/**
+ * The "@@ -a,b +c,d @@" header of a hunk
+ */
+function hunkHeader(hunk) {
+    const range = (start, count) => `${count === 0 ? start : start + 1},${count}`;
+    return `@@ -${range(hunk.oldStart, hunk.oldLines)} +${range(hunk.newStart, hunk.newLines)} @@`;
+}
+
+/**
+ * Render a hunk as unified diff text, coloured unless `color` is false
+ */
+function formatHunk(hunk, { color = true } = {}) {
+    const paint = {
+        ' ': text => text,
+        '-': color ? chalk.red : text => text,
+        '+': color ? chalk.green : text => text
+    };
+    const lines = [color ? chalk.cyan(hunkHeader(hunk)) : hunkHeader(hunk)];
+    for (const line of hunk.lines) {
+        lines.push(paint[line.type](line.type + line.text.replace(/\n$/, '')));
+        if (!line.text.endsWith('\n')) {
+            lines.push(color ? chalk.dim('\\ No newline at end of file') : '\\ No newline at end of file');
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Render a whole diff with its file header
+ */
+function formatDiff(filePath, hunks, options = {}) {
+    const { color = true, isNew = false } = options;
+    const prefix = side => (filePath.startsWith('/') ? filePath : `${side}/${filePath}`);
+    const header = [`--- ${isNew ? '/dev/null' : prefix('a')}`, `+++ ${prefix('b')}`];
+    const body = hunks.map(hunk => formatHunk(hunk, { color }));
+    return [...(color ? header.map(line => chalk.bold(line)) : header), ...body].join('\n');
+}
+
+/**
+ * Colour unified diff text such as `git diff` output
+ */
+function colorizeDiff(text) {
+    return text.replace(/\n$/, '').split('\n').map(line => {
+        if (/^(diff --git|index |--- |\+\+\+ |new file|deleted file|similarity|rename )/.test(line)) return chalk.bold(line);
+        if (line.startsWith('@@')) return chalk.cyan(line);
+        if (line.startsWith('+')) return chalk.green(line);
+        if (line.startsWith('-')) return chalk.red(line);
+        return line;
+    }).join('\n');
+}
+
+/**
+ * Count added and removed lines
+ */
+function diffStats(hunks) {
+    let added = 0;
+    let removed = 0;
+    for (const hunk of hunks) {
+        for (const line of hunk.lines) {
+            if (line.type === '+') added++;
+            if (line.type === '-') removed++;
+        }
+    }
+    return { added, removed };
+}
+
+/**
+ * Apply only the accepted hunks to the old text; rejected hunks keep the old lines
+ * @param {string} oldText - The text the hunks were built from
+ * @param {Array<Object>} hunks - From buildHunks
+ * @param {Array<number>} accepted - Indexes of the hunks to apply
+ */
+function applyHunks(oldText, hunks, accepted) {
+    const oldLines = splitLines(oldText);
+    const output = [];
+    let index = 0;
+    hunks.forEach((hunk, i) => {
+        output.push(...oldLines.slice(index, hunk.oldStart));
+        if (accepted.includes(i)) {
+            output.push(...hunk.lines.filter(line => line.type !== '-').map(line => line.text));
+        } else {
+            output.push(...oldLines.slice(hunk.oldStart, hunk.oldStart + hunk.oldLines));
+        }
+        index = hunk.oldStart + hunk.oldLines;
+    });
+    output.push(...oldLines.slice(index));
+    return output.join('');
+}
+
+module.exports = {
+    splitLines,
+    diffLines,
+    buildHunks,
+    hunkHeader,
+    formatHunk,
+    formatDiff,
+    colorizeDiff,
+    diffStats,
+    applyHunks
+};
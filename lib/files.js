@@ -0,0 +1,262 @@
+// File discovery helpers for Grok CLI
+// Glob matching, .gitignore rules, binary detection and directory walking
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const BINARY_SNIFF_BYTES = 8000;
+
+function escapeRegExp(text) {
+    return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check whether a string contains glob syntax
+ */
+function hasGlob(pattern) {
+    return /[*?[{]/.test(pattern);
+}
+
+/**
+ * Translate a glob into a regular expression source.
+ * Supports `*`, `**`, `?`, `[abc]`, `[!abc]` and `{a,b}`.
+ */
+function globSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" matches zero or more directories, a bare "**" anything
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            if (set.startsWith('!')) set = '^' + set.slice(1);
+            source += `[${set}]`;
+            i = end;
+        } else if (c === '{') {
+            const end = glob.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+                continue;
+            }
+            source += '(?:' + glob.slice(i + 1, end).split(',').map(globSource).join('|') + ')';
+            i = end;
+        } else {
+            source += escapeRegExp(c);
+        }
+    }
+    return source;
+}
+
+/**
+ * Compile a glob to a RegExp matched against a whole "/"-separated path
+ */
+function globToRegExp(glob) {
+    return new RegExp(`^${globSource(glob)}$`);
+}
+
+/**
+ * Parse .gitignore text into rules
+ * @returns {Array<{regex: RegExp, negate: boolean, dirOnly: boolean, anchored: boolean}>}
+ */
+function parseGitignore(text) {
+    const rules = [];
+    for (let line of text.split(/\r?\n/)) {
+        line = line.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) continue;
+
+        const negate = line.startsWith('!');
+        if (negate) line = line.slice(1);
+        line = line.replace(/^\\([#!])/, '$1');
+
+        const dirOnly = line.endsWith('/');
+        if (dirOnly) line = line.slice(0, -1);
+
+        // A slash anywhere but the end anchors the pattern to the .gitignore's directory
+        const anchored = line.includes('/');
+        if (line.startsWith('/')) line = line.slice(1);
+        if (!line) continue;
+
+        rules.push({ regex: globToRegExp(line), negate, dirOnly, anchored });
+    }
+    return rules;
+}
+
+/**
+ * .gitignore rules for a directory tree, including nested .gitignore files
+ * and .git/info/exclude. `.git` itself is always ignored.
+ */
+class IgnoreRules {
+    constructor(root) {
+        this.root = path.resolve(root);
+        this.rulesByDir = new Map();
+    }
+
+    rulesFor(dir) {
+        if (!this.rulesByDir.has(dir)) {
+            const sources = [path.join(dir, '.gitignore')];
+            if (dir === this.root) {
+                sources.unshift(path.join(dir, '.git', 'info', 'exclude'));
+            }
+            const rules = [];
+            for (const source of sources) {
+                try {
+                    rules.push(...parseGitignore(fs.readFileSync(source, 'utf-8')));
+                } catch (error) {
+                    // No ignore file here
+                }
+            }
+            this.rulesByDir.set(dir, rules);
+        }
+        return this.rulesByDir.get(dir);
+    }
+
+    /**
+     * Check one path whose parent directories are known not to be ignored
+     * @param {string[]} parts - Path segments relative to the root
+     */
+    matchesParts(parts, isDir) {
+        if (parts[parts.length - 1] === '.git') return true;
+
+        let ignored = false;
+        // Rules from deeper .gitignore files are applied later, so they win
+        for (let depth = 0; depth < parts.length; depth++) {
+            const dir = path.join(this.root, ...parts.slice(0, depth));
+            const relative = parts.slice(depth).join('/');
+            const name = parts[parts.length - 1];
+            for (const rule of this.rulesFor(dir)) {
+                if (rule.dirOnly && !isDir) continue;
+                if (rule.regex.test(rule.anchored ? relative : name)) {
+                    ignored = !rule.negate;
+                }
+            }
+        }
+        return ignored;
+    }
+
+    /**
+     * Path segments relative to the root, or null for paths outside it
+     */
+    relativeParts(filePath) {
+        const relative = path.relative(this.root, path.resolve(filePath));
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+        return relative.split(path.sep);
+    }
+
+    /**
+     * Check whether a path is ignored, either itself or through an ignored parent directory
+     * @param {string} filePath - Absolute path
+     */
+    isIgnored(filePath, isDir = false) {
+        const parts = this.relativeParts(filePath);
+        if (!parts) return false;
+
+        for (let i = 1; i <= parts.length; i++) {
+            const last = i === parts.length;
+            if (this.matchesParts(parts.slice(0, i), last ? isDir : true)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Like isIgnored, for a path whose parent directories were already checked
+     */
+    isIgnoredEntry(filePath, isDir = false) {
+        const parts = this.relativeParts(filePath);
+        return parts ? this.matchesParts(parts, isDir) : false;
+    }
+}
+
+/**
+ * Sniff the start of a file for NUL bytes
+ */
+function isBinaryFile(filePath) {
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+        const bytesRead = fs.readSync(fd, buffer, 0, BINARY_SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead).includes(0);
+    } catch (error) {
+        return false;
+    } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+    }
+}
+
+/**
+ * List files under a directory, skipping ignored paths and symlinked directories
+ * @param {string} dir - Directory to walk
+ * @param {Object} options - { ignore: IgnoreRules, limit: max files, accept: filter for
+ *   absolute paths; only accepted files count toward the limit, scanLimit: max files
+ *   looked at, accepted or not }
+ * @returns {string[]} Absolute file paths in sorted order
+ */
+function walkFiles(dir, options = {}) {
+    const { ignore = null, limit = Infinity, accept = null, scanLimit = Infinity } = options;
+    const results = [];
+    let scanned = 0;
+    const start = path.resolve(dir);
+    if (ignore && ignore.isIgnored(start, true)) return results;
+
+    const visit = (current) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(current, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            if (results.length >= limit || scanned >= scanLimit) return;
+            const fullPath = path.join(current, entry.name);
+            const isDir = entry.isDirectory();
+            if (ignore && ignore.isIgnoredEntry(fullPath, isDir)) continue;
+
+            if (isDir) {
+                visit(fullPath);
+            } else if (entry.isFile() || (entry.isSymbolicLink() && isRegularFile(fullPath))) {
+                scanned++;
+                if (!accept || accept(fullPath)) results.push(fullPath);
+            }
+        }
+    };
+
+    visit(start);
+    return results;
+}
+
+function isRegularFile(filePath) {
+    try {
+        return fs.statSync(filePath).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    hasGlob,
+    globToRegExp,
+    parseGitignore,
+    IgnoreRules,
+    isBinaryFile,
+    walkFiles
+};
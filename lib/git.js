@@ -0,0 +1,239 @@
+// Git helpers for Grok CLI
+// Runs the local git binary through a ShellManager for /diff, /commit and `grok review`
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const GIT_TIMEOUT = 30000;
+const MAX_PROMPT_DIFF_CHARS = 60000; // diff text sent to the model
+
+/**
+ * Quote an argument for a POSIX shell
+ */
+function shellQuote(arg) {
+    return /^[A-Za-z0-9_@%+=:,./^~-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Git commands run in a ShellManager session, so they follow its working directory
+ */
+class Git {
+    constructor(shellManager) {
+        this.shell = shellManager;
+    }
+
+    /**
+     * Run git with the given arguments
+     * @returns {Promise<{stdout, stderr, exitCode}>}
+     */
+    async run(args) {
+        const command = ['git', ...args.map(shellQuote)].join(' ');
+        return await this.shell.execute(command, { timeout: GIT_TIMEOUT });
+    }
+
+    /**
+     * Run git and return its stdout
+     * @throws {Error} With git's own message when it exits non-zero
+     */
+    async output(args) {
+        const result = await this.run(args);
+        if (result.exitCode !== 0) {
+            const message = (result.stderr || result.stdout || '').trim().split('\n')[0];
+            throw new Error(message || `git ${args[0]} exited with code ${result.exitCode}`);
+        }
+        return result.stdout;
+    }
+
+    async isRepo() {
+        const result = await this.run(['rev-parse', '--is-inside-work-tree']);
+        return result.exitCode === 0 && result.stdout.trim() === 'true';
+    }
+
+    /**
+     * Throw a friendly error outside a work tree
+     */
+    async requireRepo() {
+        if (!await this.isRepo()) {
+            throw new Error(`Not a git repository: ${this.shell.getCwd()}`);
+        }
+    }
+
+    /**
+     * Whether HEAD points at a commit; false in a repository with no commits yet
+     */
+    async hasCommits() {
+        const result = await this.run(['rev-parse', '--verify', '--quiet', 'HEAD']);
+        return result.exitCode === 0;
+    }
+
+    /**
+     * The empty tree's object name, to diff against before the first commit
+     */
+    async emptyTree() {
+        return (await this.output(['hash-object', '-t', 'tree', '/dev/null'])).trim();
+    }
+
+    /**
+     * Unified diff text
+     * @param {Object} options - { staged, range, paths, stat }
+     */
+    async diff(options = {}) {
+        const args = ['-c', 'core.quotePath=false', 'diff', '--no-color', '--no-ext-diff'];
+        if (options.stat) args.push('--stat');
+        if (options.staged) args.push('--cached');
+        if (options.range) {
+            if (options.range.startsWith('-')) {
+                throw new Error(`Invalid revision range: ${options.range}`);
+            }
+            args.push(options.range);
+        }
+        args.push('--', ...(options.paths || []));
+        return await this.output(args);
+    }
+
+    /**
+     * Paths git does not track yet, relative to the working directory
+     * @param {Object} options - { wholeRepo: list the whole repository, with paths relative to its root }
+     */
+    async untracked(options = {}) {
+        const args = ['ls-files', '--others', '--exclude-standard'];
+        if (options.wholeRepo) args.push('--full-name', ':/');
+        const output = await this.output(args);
+        return output.split('\n').filter(Boolean);
+    }
+
+    /**
+     * Diff that adds each of the given untracked files, as if they were staged
+     * @param {string[]} paths - Relative to the repository root, like `git diff` names them
+     */
+    async diffUntracked(paths) {
+        const root = (await this.output(['rev-parse', '--show-toplevel'])).trim();
+        const diffs = [];
+        for (const file of paths) {
+            const result = await this.run(['-C', root, '-c', 'core.quotePath=false', 'diff', '--no-color', '--no-ext-diff', '--no-index', '--', '/dev/null', file]);
+            // --no-index exits with 1 when the files differ, which they always do here
+            if (result.exitCode > 1) {
+                throw new Error((result.stderr || '').trim().split('\n')[0] || `git diff exited with code ${result.exitCode}`);
+            }
+            diffs.push(result.stdout.endsWith('\n') ? result.stdout : `${result.stdout}\n`);
+        }
+        return diffs.join('');
+    }
+
+    /**
+     * Subjects of the latest commits, for matching the repository's message style
+     */
+    async recentSubjects(count = 10) {
+        const result = await this.run(['log', `-${count}`, '--format=%s']);
+        return result.exitCode === 0 ? result.stdout.split('\n').filter(Boolean) : [];
+    }
+
+    /**
+     * Commit the staged changes
+     * @returns {Promise<string>} git's summary output
+     */
+    async commit(message) {
+        const messageFile = path.join(os.tmpdir(), `grok-commit-${process.pid}-${Date.now()}.txt`);
+        await fs.writeFile(messageFile, message.trim() + '\n');
+        try {
+            return await this.output(['commit', '--cleanup=strip', '-F', messageFile]);
+        } finally {
+            await fs.remove(messageFile);
+        }
+    }
+}
+
+/**
+ * Parse unified diff text into files and hunks, numbering each line in the old and new file
+ * @returns {Array<{file, oldFile, status, binary, hunks: Array<{header, lines: Array<{type, text, oldLine, newLine}>}>}>}
+ */
+function parseDiff(text) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+    let oldLine = 0;
+    let newLine = 0;
+
+    for (const line of text.split('\n')) {
+        const header = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+        if (header) {
+            file = { file: header[2], oldFile: header[1], status: 'modified', binary: false, hunks: [] };
+            files.push(file);
+            hunk = null;
+            continue;
+        }
+        if (!file) continue;
+
+        const range = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        if (range) {
+            hunk = { header: line, lines: [] };
+            file.hunks.push(hunk);
+            oldLine = Number(range[1]);
+            newLine = Number(range[2]);
+            continue;
+        }
+
+        if (!hunk) {
+            if (line.startsWith('new file mode')) file.status = 'added';
+            else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+            else if (line.startsWith('rename from')) file.status = 'renamed';
+            else if (line.startsWith('Binary files')) file.binary = true;
+            else if (line.startsWith('+++ ') && line !== '+++ /dev/null') file.file = line.slice(6);
+            continue;
+        }
+
+        if (line.startsWith('+')) {
+            hunk.lines.push({ type: '+', text: line.slice(1), oldLine: null, newLine: newLine++ });
+        } else if (line.startsWith('-')) {
+            hunk.lines.push({ type: '-', text: line.slice(1), oldLine: oldLine++, newLine: null });
+        } else if (line.startsWith(' ')) {
+            hunk.lines.push({ type: ' ', text: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+        }
+    }
+    return files;
+}
+
+/**
+ * Cut diff text sent to the model down to a size it can take
+ */
+function truncateForPrompt(text, maxChars = MAX_PROMPT_DIFF_CHARS) {
+    if (text.length <= maxChars) return text;
+    return `${text.slice(0, maxChars)}\n[… diff truncated: ${text.length - maxChars} more characters]`;
+}
+
+/**
+ * Request asking the model for a commit message for a staged diff
+ */
+function buildCommitMessageRequest(diff, recentSubjects = []) {
+    const style = recentSubjects.length
+        ? `\n\nRecent commit subjects in this repository, for style:\n${recentSubjects.map(s => `- ${s}`).join('\n')}`
+        : '';
+    return [
+        {
+            role: 'system',
+            content: 'You write git commit messages. Write a subject line of at most 72 characters in the imperative mood, ' +
+                'then, if the change needs explaining, a blank line and a short body wrapped at 72 columns that says what changed and why. ' +
+                'Reply with the commit message only: no code fences, no quotes, no commentary.'
+        },
+        { role: 'user', content: `Staged diff:\n\n${truncateForPrompt(diff)}${style}` }
+    ];
+}
+
+/**
+ * Strip code fences or quotes a model sometimes wraps a commit message in
+ */
+function cleanCommitMessage(text) {
+    const trimmed = String(text || '').trim();
+    const fenced = trimmed.match(/^```[a-z]*\n([\s\S]*?)\n?```$/i);
+    return (fenced ? fenced[1] : trimmed).trim();
+}
+
+module.exports = {
+    shellQuote,
+    Git,
+    parseDiff,
+    truncateForPrompt,
+    buildCommitMessageRequest,
+    cleanCommitMessage
+};
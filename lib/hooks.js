@@ -0,0 +1,143 @@
+// User hooks for Grok CLI
+// Shell commands run before and after tool calls, when a prompt is submitted and when a session ends
+
+const { spawn } = require('child_process');
+const chalk = require('chalk');
+
+const HOOK_EVENTS = ['preToolUse', 'postToolUse', 'promptSubmit', 'sessionEnd'];
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const BLOCK_EXIT_CODE = 2;
+
+/**
+ * Hooks are configured under `hooks` in config.json:
+ *
+ *   "hooks": {
+ *     "preToolUse": [
+ *       { "matcher": "edit_file|write_file", "command": "~/bin/check-generated.sh" }
+ *     ],
+ *     "postToolUse": [
+ *       { "matcher": "write_file", "command": "npx prettier --write \"$(jq -r .args.path)\"", "timeout": 30 }
+ *     ],
+ *     "promptSubmit": [{ "command": "logger -t grok" }],
+ *     "sessionEnd": [{ "command": "~/bin/upload-transcript.sh" }]
+ *   }
+ *
+ * `matcher` is a regular expression tested against the whole tool name; leave it
+ * out to match every tool. The hook receives the event as JSON on stdin:
+ *
+ *   preToolUse    { event, tool, args, cwd }
+ *   postToolUse   { event, tool, args, result, cwd }
+ *   promptSubmit  { event, prompt, cwd }
+ *   sessionEnd    { event, sessionId, reason, messages, cwd } - messages is the active branch
+ *
+ * Exit code 0 continues. Exit code 2 blocks: a preToolUse hook stops the call, a
+ * postToolUse hook adds its message to the result, and a promptSubmit hook stops
+ * the prompt. The message is the hook's stderr, or stdout if stderr is empty.
+ * Any other exit code is reported as a warning and ignored.
+ */
+
+/**
+ * Run one hook command with the payload on stdin
+ * @returns {Promise<{exitCode: number|null, stdout: string, stderr: string, timedOut: boolean}>}
+ */
+function runCommand(command, payload, timeoutSeconds) {
+    return new Promise(resolve => {
+        const child = spawn(command, {
+            shell: true,
+            cwd: payload.cwd,
+            env: { ...process.env, GROK_HOOK_EVENT: payload.event },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        let stdout = '';
+        let stderr = '';
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGKILL');
+        }, timeoutSeconds * 1000);
+
+        child.stdout.on('data', data => { stdout += data; });
+        child.stderr.on('data', data => { stderr += data; });
+        child.stdin.on('error', () => {
+            // The hook exited without reading its input
+        });
+        child.on('error', error => {
+            clearTimeout(timer);
+            resolve({ exitCode: null, stdout, stderr: error.message, timedOut });
+        });
+        child.on('close', code => {
+            clearTimeout(timer);
+            resolve({ exitCode: code, stdout, stderr, timedOut });
+        });
+
+        child.stdin.end(JSON.stringify(payload) + '\n');
+    });
+}
+
+/**
+ * Runs the hooks configured for an event
+ */
+class HookRunner {
+    /**
+     * @param {Function} getHooks - Returns the current `hooks` config, so edits apply without a restart
+     */
+    constructor(getHooks) {
+        this.getHooks = getHooks;
+    }
+
+    /**
+     * Hooks for an event, filtered by tool name for the tool events
+     */
+    hooksFor(event, toolName) {
+        const configured = (this.getHooks() || {})[event];
+        if (!Array.isArray(configured)) return [];
+
+        return configured.filter(hook => {
+            if (!hook || typeof hook.command !== 'string') return false;
+            if (!toolName || !hook.matcher || hook.matcher === '*') return true;
+            try {
+                return new RegExp(`^(?:${hook.matcher})$`).test(toolName);
+            } catch (error) {
+                console.log(chalk.yellow(`⚠️  Ignoring ${event} hook with invalid matcher "${hook.matcher}": ${error.message}`));
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Run every matching hook in order; the first one that exits with code 2 blocks
+     * @param {string} event - One of HOOK_EVENTS
+     * @param {Object} data - Event fields sent to the hook, e.g. { tool, args }
+     * @returns {Promise<{blocked: boolean, reason?: string}>}
+     */
+    async run(event, data = {}) {
+        if (!HOOK_EVENTS.includes(event)) {
+            throw new Error(`Unknown hook event: ${event}`);
+        }
+        const hooks = this.hooksFor(event, data.tool);
+        if (hooks.length === 0) return { blocked: false };
+
+        const payload = { event, ...data, cwd: data.cwd || process.cwd() };
+        for (const hook of hooks) {
+            const result = await runCommand(hook.command, payload, hook.timeout || DEFAULT_TIMEOUT_SECONDS);
+            const message = result.stderr.trim() || result.stdout.trim();
+
+            if (result.timedOut) {
+                console.log(chalk.yellow(`⚠️  ${event} hook timed out: ${hook.command}`));
+            } else if (result.exitCode === BLOCK_EXIT_CODE) {
+                return { blocked: true, reason: message || `blocked by ${event} hook` };
+            } else if (result.exitCode !== 0) {
+                console.log(chalk.yellow(`⚠️  ${event} hook failed (${result.exitCode === null ? 'could not run' : `exit code ${result.exitCode}`}): ${hook.command}`));
+                if (message) console.log(chalk.dim(`   ${message.split('\n').join('\n   ')}`));
+            }
+        }
+        return { blocked: false };
+    }
+}
+
+module.exports = {
+    HOOK_EVENTS,
+    BLOCK_EXIT_CODE,
+    HookRunner
+};
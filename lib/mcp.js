@@ -0,0 +1,417 @@
+// Model Context Protocol client for Grok CLI
+// Spawns stdio MCP servers, discovers their tools and registers them next to the built-in tools
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const readline = require('readline');
+const { registerTool, unregisterTool } = require('./tools');
+
+const PROTOCOL_VERSION = '2024-11-05';
+const CLIENT_INFO = { name: 'grok-cli', version: '2.0.0' };
+const REQUEST_TIMEOUT_MS = 30000;
+const TOOL_CALL_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_RESTARTS = 5; // crashes in a row before giving up
+const MAX_STDERR_LINES = 20;
+
+/**
+ * Servers are configured under `mcpServers` in config.json:
+ *
+ *   "mcpServers": {
+ *     "tickets": {
+ *       "command": "node",
+ *       "args": ["/opt/mcp/tickets.js"],
+ *       "env": { "TICKETS_TOKEN": "..." },
+ *       "cwd": "/opt/mcp",
+ *       "disabled": false
+ *     }
+ *   }
+ *
+ * Each tool is exposed to the model as mcp__<server>__<tool>.
+ */
+
+/**
+ * Tool name as sent to the model: letters, digits, "_" and "-", at most 64 characters
+ */
+function toolNameFor(serverName, toolName) {
+    const clean = text => String(text).replace(/[^A-Za-z0-9_-]/g, '_');
+    return `mcp__${clean(serverName)}__${clean(toolName)}`.slice(0, 64);
+}
+
+/**
+ * Flatten an MCP tool result into text for the model
+ */
+function formatToolResult(result) {
+    const parts = (result && result.content) || [];
+    return parts.map(part => {
+        if (part.type === 'text') return part.text;
+        if (part.type === 'resource' && part.resource) {
+            return part.resource.text !== undefined ? part.resource.text : `[resource: ${part.resource.uri}]`;
+        }
+        if (part.type === 'image' || part.type === 'audio') return `[${part.type}: ${part.mimeType || 'binary'}]`;
+        return JSON.stringify(part);
+    }).join('\n');
+}
+
+/**
+ * JSON-RPC connection to one stdio MCP server. Restarts the server when it
+ * exits unexpectedly, with a growing delay, and gives up after MAX_RESTARTS crashes in a row.
+ * Emits 'tools' when the tool list changes.
+ */
+class McpClient extends EventEmitter {
+    constructor(name, options = {}) {
+        super();
+        this.name = name;
+        this.command = options.command;
+        this.args = options.args || [];
+        this.env = options.env || {};
+        this.cwd = options.cwd;
+        this.status = 'stopped'; // 'starting', 'ready', 'restarting', 'failed', 'stopped'
+        this.error = null;
+        this.tools = [];
+        this.serverInfo = null;
+        this.restarts = 0;
+        this.crashes = 0;
+        this.stderr = [];
+        this.child = null;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.restartTimer = null;
+        this.stopped = false;
+    }
+
+    /**
+     * Spawn the server, run the initialize handshake and list its tools
+     */
+    async start() {
+        if (!this.command) {
+            this.status = 'failed';
+            this.error = 'no command configured';
+            throw new Error(this.error);
+        }
+
+        this.status = 'starting';
+        this.stopped = false;
+        this.error = null;
+        try {
+            this.spawnChild();
+            const init = await this.request('initialize', {
+                protocolVersion: PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo: CLIENT_INFO
+            });
+            this.serverInfo = init.serverInfo || null;
+            this.notify('notifications/initialized');
+            await this.refreshTools();
+            this.status = 'ready';
+            this.crashes = 0;
+        } catch (error) {
+            this.status = 'failed';
+            this.error = error.message;
+            this.kill();
+            throw error;
+        }
+    }
+
+    spawnChild() {
+        const child = spawn(this.command, this.args, {
+            cwd: this.cwd,
+            env: { ...process.env, ...this.env },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        this.child = child;
+
+        readline.createInterface({ input: child.stdout }).on('line', line => this.handleLine(line));
+        readline.createInterface({ input: child.stderr }).on('line', line => {
+            this.stderr.push(line);
+            if (this.stderr.length > MAX_STDERR_LINES) this.stderr.shift();
+        });
+
+        // e.g. ENOENT for a missing command; 'exit' may not follow
+        child.on('error', error => this.handleExit(child, null, null, error.message));
+        child.on('exit', (code, signal) => this.handleExit(child, code, signal));
+        child.stdin.on('error', () => {
+            // The server went away mid-write; handled by 'exit'
+        });
+    }
+
+    handleExit(child, code, signal, message) {
+        if (child !== this.child) return; // an earlier process, already replaced
+        this.child = null;
+
+        const reason = message || `server exited (${signal || `code ${code}`})`;
+        this.rejectPending(new Error(reason));
+
+        if (this.status === 'ready') {
+            this.scheduleRestart(reason);
+        }
+    }
+
+    scheduleRestart(reason) {
+        this.crashes++;
+        if (this.crashes > MAX_RESTARTS) {
+            this.status = 'failed';
+            this.error = `${reason}; gave up after ${MAX_RESTARTS} restarts`;
+            return;
+        }
+
+        this.status = 'restarting';
+        this.error = reason;
+        const delay = Math.min(1000 * 2 ** (this.crashes - 1), 30000);
+        this.restartTimer = setTimeout(async () => {
+            this.restartTimer = null;
+            this.restarts++;
+            try {
+                await this.start();
+            } catch (error) {
+                // A failed restart counts as another crash
+                if (!this.stopped) this.scheduleRestart(error.message);
+            }
+        }, delay);
+        this.restartTimer.unref();
+    }
+
+    handleLine(line) {
+        if (!line.trim()) return;
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            this.stderr.push(`(invalid JSON on stdout) ${line.slice(0, 200)}`);
+            return;
+        }
+
+        // Response to one of our requests
+        if (message.id !== undefined && !message.method) {
+            const pending = this.pending.get(message.id);
+            if (!pending) return;
+            this.pending.delete(message.id);
+            if (message.error) {
+                pending.reject(new Error(message.error.message || `MCP error ${message.error.code}`));
+            } else {
+                pending.resolve(message.result || {});
+            }
+            return;
+        }
+
+        // Requests from the server; we support none beyond ping
+        if (message.id !== undefined && message.method) {
+            if (message.method === 'ping') {
+                this.send({ jsonrpc: '2.0', id: message.id, result: {} });
+            } else {
+                this.send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not supported: ${message.method}` } });
+            }
+            return;
+        }
+
+        if (message.method === 'notifications/tools/list_changed') {
+            this.refreshTools().catch(error => {
+                this.error = `could not refresh tools: ${error.message}`;
+            });
+        }
+    }
+
+    send(message) {
+        if (!this.child) throw new Error(`MCP server ${this.name} is not running`);
+        this.child.stdin.write(JSON.stringify(message) + '\n');
+    }
+
+    notify(method, params) {
+        this.send({ jsonrpc: '2.0', method, ...(params && { params }) });
+    }
+
+    /**
+     * Send a request and wait for its response
+     * @param {Object} options - { timeout, signal }
+     */
+    request(method, params, options = {}) {
+        const { timeout = REQUEST_TIMEOUT_MS, signal } = options;
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const onAbort = () => {
+                finish();
+                try {
+                    this.notify('notifications/cancelled', { requestId: id, reason: 'Interrupted by user' });
+                } catch (error) {
+                    // Server already gone
+                }
+                reject(new Error('Interrupted by user'));
+            };
+            const finish = () => {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            this.pending.set(id, {
+                resolve: value => { finish(); resolve(value); },
+                reject: error => { finish(); reject(error); }
+            });
+            timer = setTimeout(() => {
+                finish();
+                reject(new Error(`MCP server ${this.name} did not answer ${method} within ${timeout / 1000}s`));
+            }, timeout);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            try {
+                this.send({ jsonrpc: '2.0', id, method, ...(params && { params }) });
+            } catch (error) {
+                finish();
+                reject(error);
+            }
+        });
+    }
+
+    rejectPending(error) {
+        for (const pending of [...this.pending.values()]) {
+            pending.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Re-list tools, following pagination
+     */
+    async refreshTools() {
+        const tools = [];
+        let cursor;
+        do {
+            const page = await this.request('tools/list', cursor ? { cursor } : {});
+            tools.push(...(page.tools || []));
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        this.tools = tools;
+        this.emit('tools', tools);
+    }
+
+    /**
+     * Call a tool
+     * @returns {Promise<Object>} The MCP result { content, isError }
+     */
+    async callTool(name, args, options = {}) {
+        if (this.status !== 'ready') {
+            throw new Error(`MCP server ${this.name} is ${this.status}${this.error ? `: ${this.error}` : ''}`);
+        }
+        return this.request('tools/call', { name, arguments: args }, {
+            timeout: TOOL_CALL_TIMEOUT_MS,
+            signal: options.signal
+        });
+    }
+
+    kill() {
+        if (this.child) {
+            const child = this.child;
+            this.child = null;
+            child.stdin.end();
+            child.kill();
+        }
+    }
+
+    /**
+     * Stop the server and cancel any pending restart
+     */
+    stop() {
+        clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        this.stopped = true;
+        this.status = 'stopped';
+        this.rejectPending(new Error(`MCP server ${this.name} stopped`));
+        this.kill();
+    }
+}
+
+/**
+ * Starts the configured servers and keeps their tools registered with the tool executor
+ */
+class McpManager {
+    constructor() {
+        this.clients = new Map();
+        this.registered = new Map(); // server name -> registered tool names
+    }
+
+    /**
+     * Start every enabled server in `mcpServers`
+     * @returns {Promise<McpClient[]>} All clients, including ones that failed to start
+     */
+    async startAll(servers = {}) {
+        const starts = [];
+        for (const [name, options] of Object.entries(servers)) {
+            if (!options || options.disabled || this.clients.has(name)) continue;
+
+            const client = new McpClient(name, options);
+            client.on('tools', () => this.syncTools(client));
+            this.clients.set(name, client);
+            starts.push(client.start().catch(() => {
+                // Recorded on the client and shown by /mcp
+            }));
+        }
+        await Promise.all(starts);
+        return [...this.clients.values()];
+    }
+
+    /**
+     * Register a server's current tools, replacing what it registered before
+     */
+    syncTools(client) {
+        (this.registered.get(client.name) || []).forEach(name => unregisterTool(name));
+
+        const names = [];
+        for (const tool of client.tools) {
+            const name = toolNameFor(client.name, tool.name);
+            try {
+                registerTool({
+                    type: 'function',
+                    function: {
+                        name,
+                        description: `[${client.name}] ${tool.description || tool.name}`,
+                        parameters: tool.inputSchema || { type: 'object', properties: {} }
+                    }
+                }, (args, context) => this.callTool(client, tool.name, args, context), { asksForApproval: true });
+                names.push(name);
+            } catch (error) {
+                client.error = `tool ${tool.name} skipped: ${error.message}`;
+            }
+        }
+        this.registered.set(client.name, names);
+    }
+
+    /**
+     * Tool handler: ask for approval like any other tool, then forward the call
+     */
+    async callTool(client, toolName, args, context) {
+        const approved = await context.approval.requestApproval(
+            'Call MCP tool',
+            `Server: ${client.name}\nTool: ${toolName}\nArguments: ${JSON.stringify(args)}`
+        );
+        if (!approved) return { cancelled: true };
+
+        const result = await client.callTool(toolName, args, { signal: context.signal });
+        const text = formatToolResult(result);
+        return result.isError ? { error: text || 'Tool reported an error' } : text;
+    }
+
+    /**
+     * Restart one server by hand, e.g. after it gave up
+     */
+    async restart(name) {
+        const client = this.clients.get(name);
+        if (!client) return null;
+        client.stop();
+        client.crashes = 0;
+        await client.start().catch(() => {});
+        return client;
+    }
+
+    stopAll() {
+        this.clients.forEach(client => client.stop());
+    }
+}
+
+module.exports = {
+    toolNameFor,
+    formatToolResult,
+    McpClient,
+    McpManager
+};
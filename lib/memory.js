@@ -0,0 +1,201 @@
+// GROK.md memory files for Grok CLI
+// Merges user, project and directory-local GROK.md files, expands @imports, and caches the result
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { estimateTokens } = require('./context');
+
+const MEMORY_FILE = 'GROK.md';
+const USER_MEMORY_PATH = path.join(os.homedir(), '.grok-cli', MEMORY_FILE);
+const MAX_IMPORT_DEPTH = 5;
+const IMPORT_LINE = /^@(\S*[./]\S*)\s*$/; // "@docs/style.md", not "@decorator"
+
+/**
+ * Find the enclosing git root, or null outside a repository
+ */
+function findGitRoot(startDir) {
+    let dir = path.resolve(startDir);
+    while (true) {
+        if (fs.existsSync(path.join(dir, '.git'))) return dir;
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * List GROK.md candidates in load order: user-level, then every directory from
+ * the git root (or cwd outside a repository) down to cwd
+ * @returns {Array<{path: string, scope: string}>} Files that exist
+ */
+function discoverMemoryFiles(cwd, userPath = USER_MEMORY_PATH) {
+    const files = [];
+    if (fs.existsSync(userPath)) {
+        files.push({ path: userPath, scope: 'user' });
+    }
+
+    const target = path.resolve(cwd);
+    const root = findGitRoot(target) || target;
+    const dirs = [];
+    for (let dir = target; ; dir = path.dirname(dir)) {
+        dirs.unshift(dir);
+        if (dir === root || path.dirname(dir) === dir) break;
+    }
+
+    dirs.forEach((dir, i) => {
+        const filePath = path.join(dir, MEMORY_FILE);
+        if (fs.existsSync(filePath) && filePath !== userPath) {
+            files.push({ path: filePath, scope: i === 0 ? 'project' : 'directory' });
+        }
+    });
+
+    return files;
+}
+
+/**
+ * Expand `~` in an import path and resolve it against the importing file
+ */
+function resolveImport(importPath, fromFile) {
+    if (importPath.startsWith('~')) {
+        return path.join(os.homedir(), importPath.slice(1));
+    }
+    return path.resolve(path.dirname(fromFile), importPath);
+}
+
+/**
+ * Check, following symlinks, that a file is inside a directory
+ */
+function isInside(filePath, dir) {
+    let real;
+    let realDir;
+    try {
+        real = fs.realpathSync(filePath);
+        realDir = fs.realpathSync(dir);
+    } catch (error) {
+        return true; // missing files are reported as not found
+    }
+    const relative = path.relative(realDir, real);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Loads merged GROK.md content and reloads it only when a file changes
+ */
+class MemoryLoader {
+    constructor(options = {}) {
+        this.userPath = options.userPath || USER_MEMORY_PATH;
+        this.cache = null; // { key, stamps, result }
+    }
+
+    /**
+     * Load memory for a working directory
+     * @returns {Promise<{content: string, files: Array, changed: boolean}>}
+     *   files: { path, scope, tokens, importedFrom, error }; changed is true when
+     *   the content differs from the previous load
+     */
+    async load(cwd = process.cwd()) {
+        const discovered = discoverMemoryFiles(cwd, this.userPath);
+        const key = discovered.map(f => f.path).join('\n');
+
+        if (this.cache && this.cache.key === key && this.isFresh(this.cache.stamps)) {
+            return { ...this.cache.result, changed: false };
+        }
+
+        // A cloned repository's GROK.md must not pull in ~/.ssh/id_rsa and the like,
+        // so only the user-level file may import from outside the repository
+        const root = findGitRoot(cwd) || path.resolve(cwd);
+        const files = [];
+        const sections = [];
+        for (const file of discovered) {
+            const importRoot = file.scope === 'user' ? null : root;
+            const content = this.readWithImports(file.path, file.scope, importRoot, null, files, new Set(), 0);
+            if (content.trim()) {
+                sections.push(`<!-- ${file.scope}: ${file.path} -->\n${content.trim()}`);
+            }
+        }
+
+        const result = { content: sections.join('\n\n'), files };
+        const changed = !this.cache || this.cache.result.content !== result.content;
+        this.cache = { key, stamps: this.stamp(files), result };
+        return { ...result, changed };
+    }
+
+    /**
+     * Read a file and splice in its @imports, recording every file in `files`
+     * @param {string|null} importRoot - Directory imports must stay inside, or null for no limit
+     */
+    readWithImports(filePath, scope, importRoot, importedFrom, files, seen, depth) {
+        const entry = { path: filePath, scope, tokens: 0, importedFrom };
+        files.push(entry);
+
+        if (seen.has(filePath)) {
+            entry.error = 'circular import';
+            return '';
+        }
+        if (depth > MAX_IMPORT_DEPTH) {
+            entry.error = `imports nested more than ${MAX_IMPORT_DEPTH} deep`;
+            return '';
+        }
+        if (importedFrom && importRoot && !isInside(filePath, importRoot)) {
+            entry.error = 'outside the repository (only ~/.grok-cli/GROK.md may import files from elsewhere)';
+            return '';
+        }
+
+        let text;
+        try {
+            text = fs.readFileSync(filePath, 'utf-8');
+        } catch (error) {
+            entry.error = error.code === 'ENOENT' ? 'not found' : error.message;
+            return '';
+        }
+
+        const nextSeen = new Set(seen).add(filePath);
+        let ownText = '';
+        let inFence = false;
+        const lines = text.split('\n').map(line => {
+            if (line.trim().startsWith('```')) {
+                inFence = !inFence;
+            }
+            const match = !inFence && line.trim().match(IMPORT_LINE);
+            if (!match) {
+                ownText += line + '\n';
+                return line;
+            }
+            const target = resolveImport(match[1], filePath);
+            return this.readWithImports(target, scope, importRoot, filePath, files, nextSeen, depth + 1).trim();
+        });
+
+        // Tokens this file contributes itself; imports are counted on their own rows
+        entry.tokens = estimateTokens(ownText);
+        return lines.join('\n');
+    }
+
+    /**
+     * Record modification stamps so later loads can tell whether anything changed
+     */
+    stamp(files) {
+        return files.map(f => ({ path: f.path, stamp: this.statStamp(f.path) }));
+    }
+
+    statStamp(filePath) {
+        try {
+            const stat = fs.statSync(filePath);
+            return `${stat.mtimeMs}:${stat.size}`;
+        } catch (error) {
+            return 'missing';
+        }
+    }
+
+    isFresh(stamps) {
+        return stamps.every(s => this.statStamp(s.path) === s.stamp);
+    }
+}
+
+module.exports = {
+    MEMORY_FILE,
+    USER_MEMORY_PATH,
+    findGitRoot,
+    discoverMemoryFiles,
+    MemoryLoader
+};
@@ -0,0 +1,217 @@
+// @-mentions for Grok CLI
+// Expands @file, @glob and @directory/ mentions in a prompt into labelled attachments
+
+const fs = require('fs-extra');
+const path = require('path');
+const { findGitRoot } = require('./memory');
+const { hasGlob, globToRegExp, IgnoreRules, isBinaryFile, walkFiles } = require('./files');
+
+const MAX_FILE_BYTES = 100 * 1024; // per text file
+const MAX_TOTAL_BYTES = 400 * 1024; // all text attachments in one prompt
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_MENTION_FILES = 50; // files a single glob or directory may expand to
+
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+// "@path" at the start of the prompt or after whitespace; emails like a@b.c are left alone
+const MENTION_PATTERN = /(^|\s)@([^\s"'`]+)/g;
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Path as shown to the model and the user: relative to cwd when inside it
+ */
+function displayPath(filePath, cwd) {
+    const relative = path.relative(cwd, filePath);
+    return relative && !relative.startsWith('..') ? relative.split(path.sep).join('/') : filePath;
+}
+
+/**
+ * Code fence longer than any backtick run inside the content
+ */
+function fenceFor(content) {
+    const longest = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(longest + 1);
+}
+
+/**
+ * Resolve one mention to files. One more than MAX_MENTION_FILES are returned at
+ * most, so a mention of a huge directory stops walking early.
+ * @param {Workspace} workspace - Optional; mentions must stay inside it, like the file tools
+ * @returns {string[]|null} Absolute file paths, or null if the mention is not a path
+ * @throws {Error} If the mention names a path outside the workspace
+ */
+function resolveMention(token, cwd, ignore, workspace) {
+    const inside = file => !workspace || workspace.allows(file);
+    const check = target => {
+        if (!inside(target)) throw new Error('outside the workspace');
+    };
+
+    if (hasGlob(token)) {
+        // Walk from the deepest directory before the first glob segment
+        const segments = token.split('/');
+        const firstGlob = segments.findIndex(segment => hasGlob(segment));
+        const base = path.resolve(cwd, segments.slice(0, firstGlob).join('/') || '.');
+        check(base);
+        const matcher = globToRegExp(path.resolve(cwd, token).split(path.sep).join('/'));
+        return walkFiles(base, {
+            ignore,
+            limit: MAX_MENTION_FILES + 1,
+            accept: file => matcher.test(file.split(path.sep).join('/')) && inside(file)
+        });
+    }
+
+    const target = path.resolve(cwd, token);
+    let stat;
+    try {
+        stat = fs.statSync(target);
+    } catch (error) {
+        return null;
+    }
+
+    check(target);
+    if (stat.isDirectory()) {
+        return walkFiles(target, { ignore, limit: MAX_MENTION_FILES + 1, accept: inside });
+    }
+    return stat.isFile() ? [target] : null;
+}
+
+/**
+ * Find @-mentions in a prompt and attach the files they name.
+ * Text files are appended as fenced blocks labelled with their path; images
+ * become vision parts when the model supports them.
+ * @param {string} text - The prompt
+ * @param {Object} options - { cwd, vision: whether the model accepts images, workspace: Workspace
+ *   that mentioned paths must be inside }
+ * @returns {Promise<{text: string, attachments: Array, images: Array, skipped: Array}>}
+ *   text is the prompt with attachments appended; attachments { path, bytes };
+ *   images { path, url }; skipped { path, reason }
+ */
+async function expandMentions(text, options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const vision = Boolean(options.vision);
+    const result = { text, attachments: [], images: [], skipped: [] };
+
+    const tokens = [...String(text).matchAll(MENTION_PATTERN)].map(match => match[2]);
+    if (tokens.length === 0) return result;
+
+    const ignore = new IgnoreRules(findGitRoot(cwd) || cwd);
+    const files = [];
+    for (const raw of tokens) {
+        // Allow trailing punctuation: "look at @src/app.js, please"
+        let token = raw;
+        let resolved;
+        try {
+            resolved = resolveMention(token, cwd, ignore, options.workspace);
+            while (!resolved && /[,.;:!?)\]]$/.test(token)) {
+                token = token.slice(0, -1);
+                resolved = resolveMention(token, cwd, ignore, options.workspace);
+            }
+        } catch (error) {
+            result.skipped.push({ path: token, reason: error.message });
+            continue;
+        }
+        if (!resolved) continue; // not a path, e.g. "@channel"
+        if (resolved.length === 0) {
+            const reason = ignore.isIgnored(path.resolve(cwd, token), true) ? 'ignored by .gitignore' : 'no matching files';
+            result.skipped.push({ path: token, reason });
+            continue;
+        }
+
+        if (resolved.length > MAX_MENTION_FILES) {
+            result.skipped.push({ path: token, reason: `matches more than ${MAX_MENTION_FILES} files, attaching the first ${MAX_MENTION_FILES}` });
+            resolved = resolved.slice(0, MAX_MENTION_FILES);
+        }
+        files.push(...resolved.filter(file => !files.includes(file)));
+    }
+
+    let totalBytes = 0;
+    const blocks = [];
+    for (const file of files) {
+        const shown = displayPath(file, cwd);
+        const size = fs.statSync(file).size;
+        const mimeType = IMAGE_TYPES[path.extname(file).toLowerCase()];
+
+        if (mimeType) {
+            if (!vision) {
+                result.skipped.push({ path: shown, reason: 'the current model does not accept images' });
+            } else if (size > MAX_IMAGE_BYTES) {
+                result.skipped.push({ path: shown, reason: `image larger than ${formatBytes(MAX_IMAGE_BYTES)}` });
+            } else {
+                const data = await fs.readFile(file);
+                result.images.push({ path: shown, url: `data:${mimeType};base64,${data.toString('base64')}` });
+            }
+            continue;
+        }
+
+        if (isBinaryFile(file)) {
+            result.skipped.push({ path: shown, reason: 'binary file' });
+        } else if (size > MAX_FILE_BYTES) {
+            result.skipped.push({ path: shown, reason: `larger than ${formatBytes(MAX_FILE_BYTES)} (${formatBytes(size)})` });
+        } else if (totalBytes + size > MAX_TOTAL_BYTES) {
+            result.skipped.push({ path: shown, reason: `attachments would exceed ${formatBytes(MAX_TOTAL_BYTES)}` });
+        } else {
+            const content = (await fs.readFile(file, 'utf-8')).replace(/\n$/, '');
+            const fence = fenceFor(content);
+            const language = path.extname(file).slice(1);
+            blocks.push(`File: ${shown}\n${fence}${language}\n${content}\n${fence}`);
+            result.attachments.push({ path: shown, bytes: size });
+            totalBytes += size;
+        }
+    }
+
+    if (blocks.length) {
+        result.text = `${text}\n\nAttached files:\n\n${blocks.join('\n\n')}`;
+    }
+    return result;
+}
+
+/**
+ * Readline completion for a path after "@" at the end of the line
+ * @returns {Array|null} [completions, fragment] for readline, or null when not completing a mention
+ */
+function completeMention(line, cwd = process.cwd()) {
+    const match = line.match(/(?:^|\s)@([^\s"'`]*)$/);
+    if (!match) return null;
+
+    const fragment = match[1];
+    const dirPart = fragment.includes('/') ? fragment.slice(0, fragment.lastIndexOf('/') + 1) : '';
+    const prefix = fragment.slice(dirPart.length);
+    const dir = path.resolve(cwd, dirPart || '.');
+
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+        return [[], `@${fragment}`];
+    }
+
+    const ignore = new IgnoreRules(findGitRoot(cwd) || cwd);
+    const hits = entries
+        .filter(entry => entry.name.startsWith(prefix))
+        .filter(entry => prefix.startsWith('.') || !entry.name.startsWith('.'))
+        .filter(entry => !ignore.isIgnored(path.join(dir, entry.name), entry.isDirectory()))
+        .map(entry => `@${dirPart}${entry.name}${entry.isDirectory() ? '/' : ''}`)
+        .sort();
+
+    return [hits, `@${fragment}`];
+}
+
+module.exports = {
+    MAX_FILE_BYTES,
+    MAX_TOTAL_BYTES,
+    expandMentions,
+    completeMention,
+    formatBytes
+};
@@ -0,0 +1,272 @@
+// Permission rules for Grok CLI
+// allow / ask / deny rules per tool and argument pattern, checked before any approval prompt
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { globToRegExp, hasGlob } = require('./files');
+const { expandHome, realpathAllowMissing } = require('./workspace');
+
+const PERMISSIONS_PATH = path.join(os.homedir(), '.grok-cli', 'permissions.json');
+const RULE_TYPES = ['deny', 'ask', 'allow']; // most restrictive first; the first type with a match wins
+
+// Tools whose `path` argument is what rules match against
+const PATH_TOOLS = new Set(['read_file', 'write_file', 'edit_file', 'list_directory', 'find_files', 'search_files', 'create_directory', 'delete_file']);
+
+/**
+ * The rules file lists rules as Tool or Tool(pattern):
+ *
+ *   {
+ *     "allow": ["read_file", "run_command(npm test*)"],
+ *     "ask": ["http_request(*)"],
+ *     "deny": ["delete_file(!src/**)", "run_command(rm -rf*)"]
+ *   }
+ *
+ * The pattern is matched against:
+ *   - the path for file tools, as a glob relative to the working directory
+ *     (absolute and ~ patterns match absolute paths)
+ *   - the command for run_command, where * matches anything. Commands chained with
+ *     ;, &&, ||, | or & are checked part by part: every part has to match an allow
+ *     rule, while an ask or deny rule matches if any part does. Allow rules with a
+ *     pattern never match commands with substitutions ($(…), backticks) or redirections.
+ *   - the host for http_request, where * matches anything
+ *   - the JSON arguments for any other tool
+ * A leading "!" inverts the pattern. Tool names may use * as well, e.g. "mcp__tickets__*".
+ */
+
+/**
+ * Wildcard match where * is any run of characters, including "/"
+ */
+function wildcardToRegExp(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+// Parts of a command line that allow rules cannot vouch for
+const UNSAFE_SHELL = /`|\$\(|[<>]/;
+
+/**
+ * Split a command line at ;, &&, ||, | and & and newlines. Quotes are not
+ * parsed, so an operator inside a string splits too; that only makes allow
+ * rules match less often.
+ */
+function splitCommand(command) {
+    return command.split(/;|&&|\|\||\||&|\n/).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse "Tool" or "Tool(pattern)"
+ * @returns {Object} { text, tool: RegExp, pattern, negate }
+ * @throws {Error} If the rule is malformed
+ */
+function parseRule(text) {
+    const match = String(text).trim().match(/^([A-Za-z0-9_*-]+)(?:\((.*)\))?$/);
+    if (!match) {
+        throw new Error(`Invalid rule "${text}" (expected Tool or Tool(pattern))`);
+    }
+
+    let pattern = match[2] !== undefined ? match[2].trim() : null;
+    const negate = Boolean(pattern && pattern.startsWith('!'));
+    if (negate) pattern = pattern.slice(1);
+
+    return { text: String(text).trim(), tool: wildcardToRegExp(match[1]), pattern, negate };
+}
+
+/**
+ * Check whether a parsed rule's pattern matches a tool call
+ */
+function patternMatches(rule, toolName, args, cwd) {
+    if (rule.pattern === null) return true;
+
+    let matched;
+    if (PATH_TOOLS.has(toolName) && typeof args.path === 'string') {
+        // Compare real paths, so "~/.ssh/x" or a symlink into a denied directory still matches
+        const target = realPath(path.resolve(cwd, expandHome(args.path)));
+        const pattern = resolvePattern(expandHome(rule.pattern));
+        const subject = path.isAbsolute(pattern)
+            ? target
+            : path.relative(realPath(cwd), target) || '.';
+        matched = globToRegExp(pattern.split(path.sep).join('/')).test(subject.split(path.sep).join('/'));
+    } else if (toolName === 'run_command') {
+        const command = String(args.command || '').trim();
+        return [command, ...splitCommand(command)].some(part => commandMatches(rule, part));
+    } else if (toolName === 'http_request') {
+        let host = '';
+        try {
+            host = new URL(args.url).host;
+        } catch (error) {
+            // Not a URL; only "*" will match
+        }
+        matched = wildcardToRegExp(rule.pattern).test(host);
+    } else {
+        matched = wildcardToRegExp(rule.pattern).test(JSON.stringify(args || {}));
+    }
+    return rule.negate ? !matched : matched;
+}
+
+function realPath(absolutePath) {
+    try {
+        return realpathAllowMissing(absolutePath);
+    } catch (error) {
+        return absolutePath;
+    }
+}
+
+/**
+ * Resolve symlinks in the literal directories that lead an absolute pattern,
+ * e.g. /etc/** on a system where /etc links to /private/etc
+ */
+function resolvePattern(pattern) {
+    if (!path.isAbsolute(pattern)) return pattern;
+    const segments = pattern.split(/[\\/]/);
+    const literal = segments.findIndex(segment => hasGlob(segment));
+    if (literal === -1) return realPath(pattern);
+    const prefix = segments.slice(0, literal).join('/') || '/';
+    return [realPath(prefix), ...segments.slice(literal)].join('/');
+}
+
+function commandMatches(rule, command) {
+    return rule.pattern === null || wildcardToRegExp(rule.pattern).test(command) !== rule.negate;
+}
+
+/**
+ * The allow rule(s) covering a whole command line, or null
+ */
+function allowCommand(rules, command) {
+    const any = rules.find(rule => rule.pattern === null);
+    if (any) return any.text;
+    if (UNSAFE_SHELL.test(command)) return null;
+
+    const parts = splitCommand(command);
+    const used = [];
+    for (const part of parts) {
+        const rule = rules.find(r => commandMatches(r, part));
+        if (!rule) return null;
+        if (!used.includes(rule.text)) used.push(rule.text);
+    }
+    return used.length ? used.join(', ') : null;
+}
+
+/**
+ * The rules file, re-read whenever it changes on disk
+ */
+class PermissionRules {
+    constructor(filePath = PERMISSIONS_PATH) {
+        this.filePath = filePath;
+        this.stamp = null;
+        this.rules = { deny: [], ask: [], allow: [] };
+        this.errors = [];
+    }
+
+    /**
+     * Load the rules; malformed rules are skipped and listed in `errors`
+     * @returns {{deny: Array, ask: Array, allow: Array}} Parsed rules by type
+     */
+    load() {
+        let stamp = 'missing';
+        try {
+            const stat = fs.statSync(this.filePath);
+            stamp = `${stat.mtimeMs}:${stat.size}`;
+        } catch (error) {
+            // No rules file
+        }
+        if (stamp === this.stamp) return this.rules;
+
+        this.stamp = stamp;
+        this.rules = { deny: [], ask: [], allow: [] };
+        this.errors = [];
+        if (stamp === 'missing') return this.rules;
+
+        let data;
+        try {
+            data = fs.readJsonSync(this.filePath);
+        } catch (error) {
+            this.errors.push(`${this.filePath} is not valid JSON: ${error.message}`);
+            return this.rules;
+        }
+
+        for (const type of RULE_TYPES) {
+            for (const text of Array.isArray(data[type]) ? data[type] : []) {
+                try {
+                    this.rules[type].push(parseRule(text));
+                } catch (error) {
+                    this.errors.push(error.message);
+                }
+            }
+        }
+        return this.rules;
+    }
+
+    /**
+     * Decide a tool call from the rules
+     * @returns {{decision: 'allow'|'ask'|'deny'|null, rule: string|null}} null when no rule matches
+     */
+    check(toolName, args = {}, cwd = process.cwd()) {
+        const rules = this.load();
+        for (const type of RULE_TYPES) {
+            if (type === 'allow' && toolName === 'run_command') {
+                const text = allowCommand(rules.allow.filter(r => r.tool.test(toolName)), String(args.command || '').trim());
+                if (text) return { decision: type, rule: text };
+                continue;
+            }
+            const rule = rules[type].find(r => r.tool.test(toolName) && patternMatches(r, toolName, args, cwd));
+            if (rule) return { decision: type, rule: rule.text };
+        }
+        return { decision: null, rule: null };
+    }
+
+    /**
+     * Add a rule and save the file
+     */
+    add(type, text) {
+        if (!RULE_TYPES.includes(type)) {
+            throw new Error(`Unknown rule type "${type}" (use ${RULE_TYPES.join(', ')})`);
+        }
+        parseRule(text);
+
+        const data = this.readRaw();
+        data[type] = [...(data[type] || []), text.trim()];
+        this.write(data);
+    }
+
+    /**
+     * Remove a rule by its text
+     * @returns {boolean} Whether a rule was removed
+     */
+    remove(text) {
+        const data = this.readRaw();
+        let removed = false;
+        for (const type of RULE_TYPES) {
+            const rules = data[type] || [];
+            const index = rules.indexOf(text.trim());
+            if (index !== -1) {
+                rules.splice(index, 1);
+                removed = true;
+            }
+        }
+        if (removed) this.write(data);
+        return removed;
+    }
+
+    readRaw() {
+        try {
+            return fs.readJsonSync(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw new Error(`${this.filePath} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    write(data) {
+        fs.ensureDirSync(path.dirname(this.filePath));
+        fs.writeJsonSync(this.filePath, data, { spaces: 2 });
+        this.stamp = null;
+    }
+}
+
+module.exports = {
+    PERMISSIONS_PATH,
+    RULE_TYPES,
+    parseRule,
+    PermissionRules
+};
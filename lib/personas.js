@@ -0,0 +1,118 @@
+// Persona profiles for Grok CLI
+// Named system prompts with their own model, temperature and tool set
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { TOOL_DEFINITIONS } = require('./tools');
+
+const PERSONAS_DIR = path.join(os.homedir(), '.grok-cli', 'personas');
+
+/**
+ * Persona files are JSON named after the persona, e.g. personas/reviewer.json:
+ *
+ *   {
+ *     "description": "Strict code reviewer",
+ *     "systemPrompt": "You review code for correctness first...",
+ *     "model": "grok-3",
+ *     "temperature": 0.2,
+ *     "tools": ["read_file", "list_directory", "run_command"]
+ *   }
+ *
+ * Every field is optional. Omitting `tools` allows all tools; `[]` allows none.
+ */
+
+function isValidPersonaName(name) {
+    return /^[A-Za-z0-9_-]+$/.test(name);
+}
+
+/**
+ * List available personas
+ * @param {string} dir - Directory holding persona files
+ * @returns {Promise<Array<{name: string, description: string}>>}
+ */
+async function listPersonas(dir = PERSONAS_DIR) {
+    if (!await fs.pathExists(dir)) return [];
+
+    const files = (await fs.readdir(dir)).filter(f => f.endsWith('.json')).sort();
+    const personas = [];
+    for (const file of files) {
+        const name = path.basename(file, '.json');
+        try {
+            const data = await fs.readJson(path.join(dir, file));
+            personas.push({ name, description: data.description || '' });
+        } catch (error) {
+            personas.push({ name, description: `(invalid: ${error.message})` });
+        }
+    }
+    return personas;
+}
+
+/**
+ * Load and validate a persona
+ * @param {string} name - Persona name (file name without .json)
+ * @param {string} dir - Directory holding persona files
+ * @returns {Promise<Object>} { name, description, systemPrompt, model, temperature, tools }
+ */
+async function loadPersona(name, dir = PERSONAS_DIR) {
+    if (!isValidPersonaName(name)) {
+        throw new Error(`Invalid persona name "${name}" (use letters, digits, "_" and "-")`);
+    }
+
+    const filePath = path.join(dir, `${name}.json`);
+    if (!await fs.pathExists(filePath)) {
+        const known = (await listPersonas(dir)).map(p => p.name);
+        throw new Error(`Unknown persona "${name}". ${known.length ? `Available: ${known.join(', ')}` : `No personas in ${dir}`}`);
+    }
+
+    let data;
+    try {
+        data = await fs.readJson(filePath);
+    } catch (error) {
+        throw new Error(`Persona "${name}" is not valid JSON: ${error.message}`);
+    }
+
+    if (data.systemPrompt !== undefined && typeof data.systemPrompt !== 'string') {
+        throw new Error(`Persona "${name}": systemPrompt must be a string`);
+    }
+    if (data.temperature !== undefined && (typeof data.temperature !== 'number' || data.temperature < 0 || data.temperature > 2)) {
+        throw new Error(`Persona "${name}": temperature must be a number between 0 and 2`);
+    }
+    if (data.tools !== undefined) {
+        if (!Array.isArray(data.tools)) {
+            throw new Error(`Persona "${name}": tools must be an array of tool names`);
+        }
+        const known = new Set(TOOL_DEFINITIONS.map(t => t.function.name));
+        const unknown = data.tools.filter(tool => !known.has(tool));
+        if (unknown.length) {
+            throw new Error(`Persona "${name}": unknown tools ${unknown.join(', ')}`);
+        }
+    }
+
+    return {
+        name,
+        description: data.description || '',
+        systemPrompt: data.systemPrompt || '',
+        model: data.model || null,
+        temperature: data.temperature,
+        tools: data.tools || null
+    };
+}
+
+/**
+ * Restrict tool definitions to the ones a persona allows
+ * @param {Array} definitions - Tool definitions
+ * @param {Object|null} persona - Loaded persona, or null for no restriction
+ */
+function filterTools(definitions, persona) {
+    if (!persona || !persona.tools) return definitions;
+    const allowed = new Set(persona.tools);
+    return definitions.filter(tool => allowed.has(tool.function.name));
+}
+
+module.exports = {
+    PERSONAS_DIR,
+    listPersonas,
+    loadPersona,
+    filterTools
+};
@@ -0,0 +1,316 @@
+// Plugin loader for Grok CLI
+// JavaScript modules in ~/.grok-cli/plugins and .grok/plugins that add commands, tools and event listeners
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { registerTool, unregisterTool } = require('./tools');
+const { findGitRoot } = require('./memory');
+
+const USER_PLUGINS_DIR = path.join(os.homedir(), '.grok-cli', 'plugins');
+const PROJECT_PLUGINS_DIR = path.join('.grok', 'plugins');
+const PLUGIN_EVENTS = ['before-request', 'after-response', 'session-saved'];
+const LISTENER_TIMEOUT_MS = 10000;
+
+/**
+ * A plugin is a CommonJS module, plugins/<name>.js or a plugins/<name>/ package,
+ * exporting a register function or { description, register }:
+ *
+ *   module.exports = {
+ *     description: 'Standup notes',
+ *     register(grok) {
+ *       grok.registerCommand('standup', {
+ *         description: 'Draft a standup update',
+ *         run: async (args, context) => `Summarize my work on ${args}`  // a returned string is sent as a prompt
+ *       });
+ *       grok.registerTool({ name: 'ticket_lookup', description: '...', parameters: {...}, readOnly: true },
+ *         async (args, context) => ({ title: '...' }));  // calls ask for approval unless readOnly
+ *       grok.on('after-response', ({ model, response }) => { ... });
+ *     }
+ *   };
+ *
+ * Events:
+ *   before-request  { request } - the chat completion parameters, which listeners may modify
+ *   after-response  { model, message, response, usage, interrupted }
+ *   session-saved   { sessionId, path }
+ */
+
+function isValidPluginName(name) {
+    return /^[a-z0-9][a-z0-9_-]*$/i.test(name);
+}
+
+/**
+ * Find plugin entry points in one directory
+ */
+function discoverDir(dir, scope) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+        return []; // No plugins directory
+    }
+
+    const found = [];
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isFile() && entry.name.endsWith('.js')) {
+            found.push({ name: path.basename(entry.name, '.js'), scope, path: fullPath });
+        } else if (entry.isDirectory()) {
+            let main = 'index.js';
+            try {
+                main = fs.readJsonSync(path.join(fullPath, 'package.json')).main || main;
+            } catch (error) {
+                // No package.json; use index.js
+            }
+            if (fs.existsSync(path.join(fullPath, main))) {
+                found.push({ name: entry.name, scope, path: path.join(fullPath, main) });
+            }
+        }
+    }
+    return found.filter(plugin => isValidPluginName(plugin.name));
+}
+
+/**
+ * Project plugin directory: .grok/plugins under the git root, or cwd outside a repository
+ */
+function projectPluginsDir(cwd = process.cwd()) {
+    return path.join(findGitRoot(cwd) || path.resolve(cwd), PROJECT_PLUGINS_DIR);
+}
+
+/**
+ * Reject if a listener takes too long, so a stuck plugin cannot hang the chat loop
+ */
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} took longer than ${ms / 1000}s`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Loads plugins and keeps track of what each one registered.
+ * User plugins are enabled by default; project plugins come with the repository,
+ * so they stay disabled until enabled with /plugins.
+ */
+class PluginManager {
+    /**
+     * @param {Object} options - { userDir, state: { [path]: enabled }, onStateChange(state) }
+     */
+    constructor(options = {}) {
+        this.userDir = options.userDir || USER_PLUGINS_DIR;
+        this.state = { ...(options.state || {}) };
+        this.onStateChange = options.onStateChange || (() => {});
+        this.reservedCommands = new Set();
+        this.plugins = [];
+    }
+
+    /**
+     * Discover and activate plugins. A project plugin replaces a user plugin with the same name.
+     * @param {Object} options - { cwd, reservedCommands: Set of built-in command names without "/" }
+     */
+    async loadAll(options = {}) {
+        const { cwd = process.cwd(), reservedCommands = new Set() } = options;
+        this.plugins.forEach(plugin => this.deactivate(plugin));
+        this.reservedCommands = reservedCommands;
+
+        const byName = new Map();
+        for (const found of [...discoverDir(this.userDir, 'user'), ...discoverDir(projectPluginsDir(cwd), 'project')]) {
+            byName.set(found.name.toLowerCase(), found);
+        }
+
+        this.plugins = [...byName.values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(found => ({
+                ...found,
+                description: '',
+                enabled: this.isEnabled(found),
+                loaded: false,
+                error: null,
+                commands: new Map(),
+                tools: [],
+                listeners: []
+            }));
+
+        for (const plugin of this.plugins) {
+            if (plugin.enabled) await this.activate(plugin);
+        }
+        return this.plugins;
+    }
+
+    isEnabled(plugin) {
+        const saved = this.state[plugin.path];
+        return saved !== undefined ? saved : plugin.scope === 'user';
+    }
+
+    find(name) {
+        return this.plugins.find(plugin => plugin.name.toLowerCase() === String(name).toLowerCase());
+    }
+
+    /**
+     * Require a plugin and run its register function; failures are recorded on the plugin
+     */
+    async activate(plugin) {
+        plugin.error = null;
+        try {
+            // Drop the cached module so enabling again picks up edits
+            delete require.cache[require.resolve(plugin.path)];
+            const mod = require(plugin.path);
+            const register = typeof mod === 'function' ? mod : mod && mod.register;
+            if (typeof register !== 'function') {
+                throw new Error('module must export a register function');
+            }
+            plugin.description = (mod && typeof mod.description === 'string') ? mod.description : '';
+            await withTimeout(Promise.resolve(register(this.createApi(plugin))), LISTENER_TIMEOUT_MS, 'register');
+            plugin.loaded = true;
+        } catch (error) {
+            this.deactivate(plugin);
+            plugin.error = error.message;
+        }
+    }
+
+    /**
+     * Remove everything a plugin registered
+     */
+    deactivate(plugin) {
+        plugin.tools.forEach(name => unregisterTool(name));
+        plugin.tools = [];
+        plugin.commands.clear();
+        plugin.listeners = [];
+        plugin.loaded = false;
+    }
+
+    /**
+     * Enable or disable a plugin and remember the choice
+     * @returns {Promise<Object|null>} The plugin, or null if there is none with that name
+     */
+    async setEnabled(name, enabled) {
+        const plugin = this.find(name);
+        if (!plugin) return null;
+
+        plugin.enabled = enabled;
+        this.state[plugin.path] = enabled;
+        this.onStateChange({ ...this.state });
+
+        if (enabled && !plugin.loaded) {
+            await this.activate(plugin);
+        } else if (!enabled) {
+            this.deactivate(plugin);
+            plugin.error = null;
+        }
+        return plugin;
+    }
+
+    /**
+     * The object passed to a plugin's register function
+     */
+    createApi(plugin) {
+        return {
+            name: plugin.name,
+            scope: plugin.scope,
+            dir: path.dirname(plugin.path),
+
+            registerCommand: (name, spec = {}) => {
+                const key = String(name).replace(/^\//, '');
+                if (!isValidPluginName(key)) {
+                    throw new Error(`Invalid command name "${name}"`);
+                }
+                if (typeof spec.run !== 'function') {
+                    throw new Error(`Command /${key} needs a run function`);
+                }
+                if (this.reservedCommands.has(key.toLowerCase())) {
+                    throw new Error(`/${key} is a built-in command`);
+                }
+                const owner = this.plugins.find(other => other !== plugin && other.commands.has(key.toLowerCase()));
+                if (owner) {
+                    throw new Error(`/${key} is already registered by plugin ${owner.name}`);
+                }
+                plugin.commands.set(key.toLowerCase(), {
+                    name: key,
+                    description: spec.description || '',
+                    usage: spec.usage || '',
+                    run: spec.run
+                });
+            },
+
+            registerTool: (definition, handler) => {
+                const fn = definition.function || definition;
+                if (typeof handler !== 'function') {
+                    throw new Error(`Tool ${fn.name} needs a handler function`);
+                }
+                registerTool({
+                    type: 'function',
+                    function: {
+                        name: fn.name,
+                        description: fn.description || '',
+                        parameters: fn.parameters || { type: 'object', properties: {} }
+                    }
+                }, handler, { readOnly: fn.readOnly === true });
+                plugin.tools.push(fn.name);
+            },
+
+            on: (event, listener) => {
+                if (!PLUGIN_EVENTS.includes(event)) {
+                    throw new Error(`Unknown event "${event}" (expected ${PLUGIN_EVENTS.join(', ')})`);
+                }
+                plugin.listeners.push({ event, listener });
+            },
+
+            log: (...args) => console.log(chalk.dim(`[${plugin.name}]`), ...args)
+        };
+    }
+
+    /**
+     * Commands from active plugins
+     * @returns {Array<{name, description, usage, plugin}>}
+     */
+    commands() {
+        return this.plugins
+            .filter(plugin => plugin.loaded)
+            .flatMap(plugin => [...plugin.commands.values()].map(command => ({ ...command, plugin: plugin.name })));
+    }
+
+    findCommand(name) {
+        return this.commands().find(command => command.name.toLowerCase() === name.toLowerCase());
+    }
+
+    /**
+     * Run a plugin command, reporting instead of throwing when it fails
+     * @returns {Promise<string|null>} A prompt to send, if the command returned one
+     */
+    async runCommand(command, args, context) {
+        try {
+            const result = await command.run(args, context);
+            return typeof result === 'string' && result.trim() ? result : null;
+        } catch (error) {
+            console.log(chalk.red(`❌ Plugin ${command.plugin} failed in /${command.name}: ${error.message}`));
+            return null;
+        }
+    }
+
+    /**
+     * Call every listener for an event in load order. Listener errors are reported and skipped.
+     */
+    async emit(event, payload) {
+        for (const plugin of this.plugins) {
+            if (!plugin.loaded) continue;
+            for (const { event: name, listener } of plugin.listeners) {
+                if (name !== event) continue;
+                try {
+                    await withTimeout(Promise.resolve().then(() => listener(payload)), LISTENER_TIMEOUT_MS, event);
+                } catch (error) {
+                    console.log(chalk.yellow(`⚠️  Plugin ${plugin.name} failed in ${event}: ${error.message}`));
+                }
+            }
+        }
+    }
+}
+
+module.exports = {
+    USER_PLUGINS_DIR,
+    PROJECT_PLUGINS_DIR,
+    PLUGIN_EVENTS,
+    projectPluginsDir,
+    PluginManager
+};
@@ -0,0 +1,156 @@
+// Provider profiles for OpenAI-compatible endpoints
+// Lets the CLI talk to xAI, a local stand-in server, or an internal gateway
+
+const fs = require('fs-extra');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+
+const DEFAULT_PROVIDER = 'xai';
+const DEFAULT_TIMEOUT = 360000;
+
+/**
+ * Built-in profiles. User profiles in the `providers` config key are merged
+ * over these, so `{ "local": { "baseURL": "http://localhost:1234/v1" } }`
+ * only overrides the base URL.
+ *
+ * Profile fields:
+ *   baseURL   - OpenAI-compatible API root
+ *   apiKeyEnv - environment variable holding the API key
+ *   apiKey    - literal API key (used when apiKeyEnv is unset)
+ *   model     - default model for this provider
+ *   timeout   - request timeout in milliseconds
+ *   proxy     - HTTPS proxy URL, e.g. http://proxy.corp:3128
+ *   caFile    - PEM bundle with extra certificate authorities
+ */
+const BUILTIN_PROVIDERS = {
+    xai: {
+        baseURL: 'https://api.x.ai/v1',
+        apiKeyEnv: 'XAI_API_KEY',
+        timeout: DEFAULT_TIMEOUT
+    },
+    local: {
+        baseURL: 'http://localhost:8080/v1',
+        apiKeyEnv: 'LOCAL_API_KEY',
+        apiKey: 'local', // stand-in servers usually ignore the key but the client requires one
+        timeout: DEFAULT_TIMEOUT
+    }
+};
+
+/**
+ * Expand a leading ~ to the home directory
+ */
+function expandHome(filePath) {
+    if (!filePath || !filePath.startsWith('~')) return filePath;
+    return path.join(os.homedir(), filePath.slice(1));
+}
+
+/**
+ * List known provider names (built-in and user-defined)
+ * @param {Object} userProviders - The `providers` config value
+ * @returns {string[]}
+ */
+function listProviders(userProviders = {}) {
+    return [...new Set([...Object.keys(BUILTIN_PROVIDERS), ...Object.keys(userProviders || {})])];
+}
+
+/**
+ * Resolve a named profile by merging user settings over the built-in defaults
+ * @param {string} name - Provider name
+ * @param {Object} userProviders - The `providers` config value
+ * @returns {Object} Profile with its `name` attached
+ */
+function resolveProvider(name, userProviders = {}) {
+    const providerName = name || DEFAULT_PROVIDER;
+    const builtin = BUILTIN_PROVIDERS[providerName];
+    const custom = (userProviders || {})[providerName];
+
+    if (!builtin && !custom) {
+        const known = listProviders(userProviders).join(', ');
+        throw new Error(`Unknown provider "${providerName}". Known providers: ${known}`);
+    }
+
+    const profile = { timeout: DEFAULT_TIMEOUT, ...builtin, ...custom, name: providerName };
+    if (!profile.baseURL) {
+        throw new Error(`Provider "${providerName}" has no baseURL configured`);
+    }
+
+    return profile;
+}
+
+/**
+ * Look up the API key for a profile from its configured sources
+ * @returns {string|null}
+ */
+function resolveApiKey(profile) {
+    if (profile.apiKeyEnv && process.env[profile.apiKeyEnv]) {
+        return process.env[profile.apiKeyEnv];
+    }
+    return profile.apiKey || null;
+}
+
+/**
+ * Build an HTTP agent for the profile's proxy and CA settings
+ * @returns {Object|undefined} Agent, or undefined when the defaults suffice
+ */
+function createHttpAgent(profile) {
+    const agentOptions = { keepAlive: true };
+
+    if (profile.caFile) {
+        const caPath = expandHome(profile.caFile);
+        if (!fs.existsSync(caPath)) {
+            throw new Error(`CA bundle for provider "${profile.name}" not found: ${caPath}`);
+        }
+        // Extend rather than replace the system roots so public endpoints keep working
+        agentOptions.ca = [...tls.rootCertificates, fs.readFileSync(caPath, 'utf-8')];
+    }
+
+    if (profile.proxy) {
+        const agent = new HttpsProxyAgent(profile.proxy, agentOptions);
+        // The proxy agent only applies its options to the proxy hop; per-request
+        // options carry the CA through to the tunnelled TLS connection
+        if (agentOptions.ca) {
+            agent.options.ca = agentOptions.ca;
+        }
+        return agent;
+    }
+
+    if (agentOptions.ca && profile.baseURL.startsWith('https:')) {
+        return new https.Agent(agentOptions);
+    }
+
+    return undefined;
+}
+
+/**
+ * Build OpenAI client constructor options for a profile
+ * @param {Object} profile - Resolved provider profile
+ * @param {string} apiKey - API key to use
+ * @returns {Object}
+ */
+function buildClientOptions(profile, apiKey) {
+    const options = {
+        apiKey,
+        baseURL: profile.baseURL,
+        timeout: profile.timeout,
+        maxRetries: 0 // retries are handled by RetryPolicy so the countdown stays visible
+    };
+
+    const httpAgent = createHttpAgent(profile);
+    if (httpAgent) {
+        options.httpAgent = httpAgent;
+    }
+
+    return options;
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    BUILTIN_PROVIDERS,
+    listProviders,
+    resolveProvider,
+    resolveApiKey,
+    buildClientOptions
+};
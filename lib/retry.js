@@ -0,0 +1,212 @@
+// Retry policy for API requests
+// Capped exponential backoff with jitter that honours server rate-limit hints
+
+const chalk = require('chalk');
+const { APIConnectionError, APIUserAbortError } = require('openai');
+
+const RETRYABLE_STATUS = new Set([408, 409, 429]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ECONNABORTED']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error thrown when a retry wait is cancelled through an AbortSignal
+ */
+function abortError(signal) {
+    if (signal.reason instanceof Error) return signal.reason;
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Read a response header from an OpenAI SDK or axios error
+ */
+function getHeader(error, name) {
+    const headers = error.headers || error.response?.headers;
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+    return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Get the HTTP status of an OpenAI SDK or axios error
+ */
+function getStatus(error) {
+    return error.status ?? error.response?.status;
+}
+
+/**
+ * Parse a rate-limit reset duration such as "1s", "6m0s", "250ms" or "1.5"
+ * @returns {number|null} Milliseconds, or null if unparseable
+ */
+function parseDuration(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const number = parseFloat(text);
+        // Large bare numbers are epoch seconds, small ones are relative seconds
+        return number > 1e9 ? Math.max(0, number * 1000 - Date.now()) : number * 1000;
+    }
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    let total = 0;
+    let matched = false;
+    for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+        total += parseFloat(amount) * units[unit];
+        matched = true;
+    }
+    return matched ? total : null;
+}
+
+/**
+ * Work out how long the server asked us to wait, from Retry-After or x-ratelimit-* headers
+ * @returns {number|null} Milliseconds, or null when the server gave no hint
+ */
+function getRetryAfterMs(error) {
+    const retryAfterMs = parseFloat(getHeader(error, 'retry-after-ms'));
+    if (!Number.isNaN(retryAfterMs)) return retryAfterMs;
+
+    const retryAfter = getHeader(error, 'retry-after');
+    if (retryAfter) {
+        const seconds = parseDuration(retryAfter);
+        if (seconds !== null) return seconds;
+
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    // Wait for whichever exhausted limit (requests or tokens) resets last
+    let hint = null;
+    for (const kind of ['requests', 'tokens']) {
+        const remaining = getHeader(error, `x-ratelimit-remaining-${kind}`);
+        const reset = parseDuration(getHeader(error, `x-ratelimit-reset-${kind}`));
+        if (reset === null) continue;
+        if (remaining !== undefined && Number(remaining) > 0) continue;
+        hint = Math.max(hint || 0, reset);
+    }
+    return hint;
+}
+
+/**
+ * Retries transient API failures: 408/409/429, 5xx, and network errors
+ */
+class RetryPolicy {
+    constructor(options = {}) {
+        this.maxAttempts = Math.max(1, options.maxAttempts || 5);
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 60000;
+    }
+
+    /**
+     * Check whether an error is worth retrying
+     */
+    isRetryable(error) {
+        // The SDK's error classes leave `name` as "Error", so check the class
+        if (error.name === 'AbortError' || error instanceof APIUserAbortError) return false;
+
+        const status = getStatus(error);
+        if (status !== undefined) {
+            return RETRYABLE_STATUS.has(status) || status >= 500;
+        }
+
+        return error instanceof APIConnectionError || // includes APIConnectionTimeoutError
+            RETRYABLE_CODES.has(error.code) ||
+            RETRYABLE_CODES.has(error.cause?.code);
+    }
+
+    /**
+     * Delay before the next attempt: the server's hint if any, else exponential backoff with jitter.
+     * A hint is returned as is, even past maxDelay; run() gives up rather than retry early.
+     * @param {number} attempt - The attempt that just failed (1-based)
+     */
+    getDelay(attempt, error) {
+        const hinted = getRetryAfterMs(error);
+        if (hinted !== null) {
+            return Math.ceil(hinted);
+        }
+
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Describe a failure for the countdown message
+     */
+    describe(error) {
+        const status = getStatus(error);
+        if (status === 429) return 'Rate limited (429)';
+        if (status) return `Server error (${status})`;
+        return `Network error (${error.code || error.cause?.code || error.message})`;
+    }
+
+    /**
+     * Wait out a delay, showing a countdown on the spinner when there is one
+     */
+    async wait(delay, reason, attempt, spinner, signal) {
+        const suffix = `(attempt ${attempt + 1}/${this.maxAttempts})`;
+
+        if (!spinner) {
+            console.error(chalk.yellow(`⏳ ${reason}. Retrying in ${Math.ceil(delay / 1000)}s ${suffix}...`));
+        }
+
+        const originalText = spinner && spinner.text;
+        const wasSpinning = spinner && spinner.isSpinning;
+        if (spinner && !wasSpinning) spinner.start();
+
+        // Tick once a second so the countdown updates and an abort is noticed promptly
+        const end = Date.now() + delay;
+        try {
+            while (Date.now() < end) {
+                if (signal && signal.aborted) throw abortError(signal);
+                if (spinner) {
+                    const seconds = Math.ceil((end - Date.now()) / 1000);
+                    spinner.text = `${reason}. Retrying in ${seconds}s ${suffix}...`;
+                }
+                await sleep(Math.min(1000, end - Date.now()));
+            }
+        } finally {
+            if (spinner) {
+                spinner.text = originalText;
+                if (!wasSpinning) spinner.stop();
+            }
+        }
+    }
+
+    /**
+     * Run a request, retrying transient failures
+     * @param {Function} request - Async function performing the request
+     * @param {Object} options - { spinner, signal } ora spinner used for the countdown,
+     *   AbortSignal that cancels pending retries
+     * @returns {Promise<*>} The request's result
+     */
+    async run(request, options = {}) {
+        const { spinner, signal } = options;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await request(attempt);
+            } catch (error) {
+                if (attempt >= this.maxAttempts || (signal && signal.aborted) || !this.isRetryable(error)) {
+                    throw error;
+                }
+
+                const delay = this.getDelay(attempt, error);
+                if (delay > this.maxDelay) {
+                    // Retrying sooner than asked would only spend attempts on more 429s
+                    error.retryAfterMs = delay;
+                    error.message = `${error.message} (the server asked to wait ${Math.ceil(delay / 1000)}s before retrying)`;
+                    throw error;
+                }
+                await this.wait(delay, this.describe(error), attempt, spinner, signal);
+            }
+        }
+    }
+}
+
+module.exports = {
+    RetryPolicy,
+    getRetryAfterMs,
+    parseDuration
+};
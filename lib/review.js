@@ -0,0 +1,137 @@
+// Code review for Grok CLI
+// Prompt, JSON Schema and rendering for `grok review`
+
+const chalk = require('chalk');
+const { truncateForPrompt } = require('./git');
+
+const SEVERITIES = ['error', 'warning', 'suggestion'];
+
+const REVIEW_SCHEMA = {
+    title: 'code_review',
+    type: 'object',
+    required: ['summary', 'comments'],
+    additionalProperties: false,
+    properties: {
+        summary: { type: 'string' },
+        comments: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['file', 'line', 'severity', 'message'],
+                additionalProperties: false,
+                properties: {
+                    file: { type: 'string' },
+                    line: { type: ['integer', 'null'], minimum: 1 },
+                    severity: { enum: SEVERITIES },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Render parsed diff files with new-file line numbers so comments can point at them
+ */
+function numberDiff(files) {
+    const sections = [];
+    for (const file of files) {
+        const lines = [`=== ${file.file} (${file.status}${file.binary ? ', binary' : ''})`];
+        for (const hunk of file.hunks) {
+            lines.push(hunk.header);
+            for (const line of hunk.lines) {
+                const number = line.newLine === null ? '' : String(line.newLine);
+                lines.push(`${number.padStart(6)} ${line.type} ${line.text}`);
+            }
+        }
+        sections.push(lines.join('\n'));
+    }
+    return sections.join('\n\n');
+}
+
+/**
+ * Request asking the model to review a diff
+ * @param {Array} files - From parseDiff
+ * @param {string} label - What is being reviewed, e.g. "main...HEAD"
+ */
+function buildReviewRequest(files, label) {
+    return [
+        {
+            role: 'system',
+            content: 'You are a careful code reviewer. Review the diff for bugs, security problems, missing error handling, ' +
+                'unclear code and missing tests. Only comment on things worth changing; do not praise or restate the diff.\n\n' +
+                'Each diff line is prefixed with its line number in the new file, then +, - or a space. ' +
+                'Anchor every comment to a file from the diff and one of those line numbers (an added or unchanged line). ' +
+                'Use line null only for comments about a whole file, such as a deleted one.\n\n' +
+                `Severity is one of: ${SEVERITIES.join(', ')}. Reply with a JSON object: ` +
+                '{"summary": "...", "comments": [{"file": "...", "line": 12, "severity": "warning", "message": "..."}]}.'
+        },
+        { role: 'user', content: `Changes to review (${label}):\n\n${truncateForPrompt(numberDiff(files))}` }
+    ];
+}
+
+/**
+ * Check that every comment points at a file and line in the diff
+ * @returns {string[]} Problems, suitable for a repair message
+ */
+function checkAnchors(review, files) {
+    const errors = [];
+    review.comments.forEach((comment, i) => {
+        const file = files.find(f => f.file === comment.file);
+        if (!file) {
+            errors.push(`/comments/${i} refers to ${comment.file}, which is not in the diff`);
+        } else if (comment.line !== null && !file.hunks.some(h => h.lines.some(l => l.newLine === comment.line))) {
+            errors.push(`/comments/${i} refers to ${comment.file}:${comment.line}, which is not a numbered line in the diff`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Terminal rendering: comments grouped by file, each with the line it is about
+ */
+function formatReview(review, files) {
+    const colors = { error: chalk.red, warning: chalk.yellow, suggestion: chalk.cyan };
+    const out = [chalk.bold('Summary: ') + review.summary];
+
+    if (review.comments.length === 0) {
+        out.push(chalk.green('\n✓ No comments'));
+        return out.join('\n');
+    }
+
+    const byFile = new Map();
+    for (const comment of review.comments) {
+        if (!byFile.has(comment.file)) byFile.set(comment.file, []);
+        byFile.get(comment.file).push(comment);
+    }
+
+    for (const [name, comments] of byFile) {
+        out.push('', chalk.bold.underline(name));
+        const file = files.find(f => f.file === name);
+        comments.sort((a, b) => (a.line || 0) - (b.line || 0)).forEach(comment => {
+            const location = comment.line === null ? name : `${name}:${comment.line}`;
+            out.push(`  ${colors[comment.severity](comment.severity.padEnd(10))} ${chalk.dim(location)}`);
+            const code = file && comment.line !== null
+                ? file.hunks.flatMap(h => h.lines).find(l => l.newLine === comment.line)
+                : null;
+            if (code) out.push(chalk.dim(`    │ ${code.text.trim()}`));
+            out.push(...comment.message.split('\n').map(line => `    ${line}`));
+        });
+    }
+
+    const counts = SEVERITIES
+        .map(severity => [severity, review.comments.filter(c => c.severity === severity).length])
+        .filter(([, count]) => count > 0)
+        .map(([severity, count]) => colors[severity](`${count} ${severity}${count === 1 ? '' : 's'}`));
+    out.push('', counts.join(', '));
+    return out.join('\n');
+}
+
+module.exports = {
+    SEVERITIES,
+    REVIEW_SCHEMA,
+    numberDiff,
+    buildReviewRequest,
+    checkAnchors,
+    formatReview
+};
@@ -0,0 +1,156 @@
+// Structured output for Grok CLI
+// JSON Schema loading, reply validation and repair prompts for `grok chat --json`
+
+const fs = require('fs-extra');
+const path = require('path');
+const Ajv = require('ajv');
+const Ajv2019 = require('ajv/dist/2019');
+const Ajv2020 = require('ajv/dist/2020');
+
+const DEFAULT_MAX_REPAIRS = 2; // re-prompts after the first invalid reply
+
+/**
+ * Load a JSON Schema file and compile a validator for it
+ * @param {string} file - Path to the schema
+ * @returns {Promise<{schema: Object, name: string, validate: Function}>}
+ */
+async function loadSchema(file) {
+    const schemaPath = path.resolve(file);
+    if (!await fs.pathExists(schemaPath)) {
+        throw new Error(`Schema file not found: ${schemaPath}`);
+    }
+
+    let schema;
+    try {
+        schema = await fs.readJson(schemaPath);
+    } catch (error) {
+        throw new Error(`Schema file is not valid JSON: ${error.message}`);
+    }
+
+    try {
+        return compileSchema(schema, path.basename(file, path.extname(file)));
+    } catch (error) {
+        throw new Error(`Invalid JSON Schema in ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Compile a JSON Schema object into the shape loadSchema returns
+ * @param {Object} schema - The schema
+ * @param {string} fallbackName - Identifier used when the schema has no title
+ * @returns {{schema: Object, name: string, validate: Function}}
+ */
+function compileSchema(schema, fallbackName = 'response') {
+    // Draft-07 unless the schema declares a newer draft with $schema
+    const draft = String(schema.$schema || '');
+    const AjvClass = draft.includes('2020-12') ? Ajv2020 : draft.includes('2019-09') ? Ajv2019 : Ajv;
+    const ajv = new AjvClass({ allErrors: true, strict: false });
+    const validate = ajv.compile(schema);
+
+    // The API wants a short identifier for the schema
+    const name = (schema.title || fallbackName)
+        .replace(/[^A-Za-z0-9_-]/g, '_')
+        .slice(0, 64) || 'response';
+
+    return { schema, name, validate };
+}
+
+/**
+ * Build the `response_format` request parameter
+ * @param {Object|null} loaded - Result of loadSchema, or null for any JSON object
+ */
+function buildResponseFormat(loaded) {
+    if (!loaded) {
+        return { type: 'json_object' };
+    }
+    return {
+        type: 'json_schema',
+        json_schema: { name: loaded.name, schema: loaded.schema }
+    };
+}
+
+/**
+ * System prompt asking for a bare JSON reply
+ */
+function buildStructuredPrompt(loaded) {
+    // Without a schema the request uses json_object, which only allows objects
+    const lines = [
+        `Reply with a single JSON ${loaded ? 'value' : 'object'} and nothing else: no prose, no markdown code fences.`
+    ];
+    if (loaded) {
+        lines.push('The JSON must validate against this JSON Schema:', JSON.stringify(loaded.schema, null, 2));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Parse a model reply as JSON, tolerating a surrounding code fence
+ * @returns {{value: *}|{error: string}}
+ */
+function parseReply(text) {
+    const trimmed = String(text || '').trim();
+    const fenced = trimmed.match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/i);
+    const body = fenced ? fenced[1] : trimmed;
+
+    if (!body) {
+        return { error: 'The reply was empty' };
+    }
+
+    try {
+        return { value: JSON.parse(body) };
+    } catch (error) {
+        return { error: `The reply is not valid JSON: ${error.message}` };
+    }
+}
+
+/**
+ * Validate a model reply
+ * @param {string} text - Raw reply content
+ * @param {Object|null} loaded - Result of loadSchema, or null to only require a JSON object
+ * @returns {{valid: boolean, value?: *, errors: string[]}}
+ */
+function validateReply(text, loaded) {
+    const parsed = parseReply(text);
+    if (parsed.error) {
+        return { valid: false, errors: [parsed.error] };
+    }
+
+    if (!loaded && (typeof parsed.value !== 'object' || parsed.value === null || Array.isArray(parsed.value))) {
+        return { valid: false, value: parsed.value, errors: ['The reply must be a JSON object'] };
+    }
+
+    if (loaded && !loaded.validate(parsed.value)) {
+        const errors = loaded.validate.errors.map(error => {
+            const location = error.instancePath || '(root)';
+            const detail = error.params && error.params.additionalProperty
+                ? ` "${error.params.additionalProperty}"`
+                : '';
+            return `${location} ${error.message}${detail}`;
+        });
+        return { valid: false, value: parsed.value, errors };
+    }
+
+    return { valid: true, value: parsed.value, errors: [] };
+}
+
+/**
+ * Follow-up message asking the model to fix an invalid reply
+ */
+function buildRepairMessage(errors) {
+    return [
+        'Your reply did not pass validation:',
+        ...errors.map(error => `- ${error}`),
+        'Reply again with only the corrected JSON.'
+    ].join('\n');
+}
+
+module.exports = {
+    DEFAULT_MAX_REPAIRS,
+    loadSchema,
+    compileSchema,
+    buildResponseFormat,
+    buildStructuredPrompt,
+    parseReply,
+    validateReply,
+    buildRepairMessage
+};
@@ -0,0 +1,236 @@
+// Codebase search for Grok CLI
+// Glob file finding and regex content search behind the find_files and search_files tools
+
+const fs = require('fs-extra');
+const path = require('path');
+const { globToRegExp, IgnoreRules, isBinaryFile, walkFiles } = require('./files');
+const { findGitRoot } = require('./memory');
+
+const DEFAULT_FIND_LIMIT = 200;
+const DEFAULT_MATCH_LIMIT = 100;
+const MAX_CONTEXT_LINES = 10;
+const MAX_OUTPUT_CHARS = 20000; // keeps a result within a reasonable share of the context window
+const MAX_LINE_CHARS = 300;
+const MAX_SEARCH_FILE_BYTES = 1024 * 1024; // larger files are skipped, like binaries
+const MAX_SEARCH_LINE_CHARS = 10000; // longer lines (minified code, data) are not matched
+const MAX_SCANNED_FILES = 20000;
+
+// File types for search_files' `type` filter; any other value is taken as an extension
+const FILE_TYPES = {
+    js: ['js', 'mjs', 'cjs', 'jsx'],
+    ts: ['ts', 'tsx', 'mts', 'cts'],
+    py: ['py', 'pyi'],
+    go: ['go'],
+    rust: ['rs'],
+    java: ['java'],
+    kotlin: ['kt', 'kts'],
+    ruby: ['rb'],
+    php: ['php'],
+    c: ['c', 'h'],
+    cpp: ['cc', 'cpp', 'cxx', 'hh', 'hpp', 'hxx', 'h'],
+    cs: ['cs'],
+    swift: ['swift'],
+    sh: ['sh', 'bash', 'zsh'],
+    html: ['html', 'htm'],
+    css: ['css', 'scss', 'sass', 'less'],
+    json: ['json'],
+    yaml: ['yml', 'yaml'],
+    md: ['md', 'markdown'],
+    sql: ['sql']
+};
+
+/**
+ * Build a filter for paths relative to the search directory. Globs without a
+ * "/" match the file name at any depth, like .gitignore patterns.
+ */
+function globFilter(glob) {
+    if (!glob) return () => true;
+    const regex = globToRegExp(glob.replace(/^\.\//, ''));
+    return glob.includes('/')
+        ? relative => regex.test(relative)
+        : relative => regex.test(relative.slice(relative.lastIndexOf('/') + 1));
+}
+
+function typeFilter(type) {
+    if (!type) return () => true;
+    const extensions = FILE_TYPES[type.toLowerCase()] || [type.toLowerCase().replace(/^\./, '')];
+    return relative => extensions.includes(path.extname(relative).slice(1).toLowerCase());
+}
+
+/**
+ * Files under a directory that are not ignored by .gitignore, as sorted relative paths.
+ * The walk looks at no more than MAX_SCANNED_FILES files, so a huge tree cannot stall the CLI.
+ * @param {string} dir - Absolute directory to search
+ * @param {Object} options - { accept: filter for absolute paths, limit: max accepted files }
+ * @returns {{files: string[], capped: boolean}} capped when the walk stopped at MAX_SCANNED_FILES
+ */
+function listFiles(dir, options = {}) {
+    const { accept = () => true, limit = Infinity } = options;
+    const ignore = new IgnoreRules(findGitRoot(dir) || dir);
+    let scanned = 0;
+    const files = walkFiles(dir, {
+        ignore,
+        limit,
+        scanLimit: MAX_SCANNED_FILES,
+        accept: file => {
+            scanned++;
+            return accept(file);
+        }
+    });
+    return {
+        files: files.map(file => path.relative(dir, file).split(path.sep).join('/')).sort(),
+        capped: scanned >= MAX_SCANNED_FILES
+    };
+}
+
+/**
+ * Find files by glob, stopping once more than `limit` have matched
+ * @param {string} dir - Absolute directory to search
+ * @param {Object} options - { pattern, limit, accept }
+ * @returns {{files: string[], truncated: boolean, capped: boolean}}
+ */
+function findFiles(dir, options = {}) {
+    const limit = Math.max(1, options.limit || DEFAULT_FIND_LIMIT);
+    const accept = options.accept || (() => true);
+    const byGlob = globFilter(options.pattern || '*');
+    const listed = listFiles(dir, {
+        accept: file => byGlob(path.relative(dir, file).split(path.sep).join('/')) && accept(file),
+        limit: limit + 1
+    });
+
+    const files = [];
+    let chars = 0;
+    for (const file of listed.files) {
+        if (files.length >= limit || chars + file.length + 1 > MAX_OUTPUT_CHARS) break;
+        files.push(file);
+        chars += file.length + 1;
+    }
+    return { files, truncated: files.length < listed.files.length, capped: listed.capped };
+}
+
+function clip(line) {
+    return line.length > MAX_LINE_CHARS ? `${line.slice(0, MAX_LINE_CHARS)}…` : line;
+}
+
+/**
+ * Search file contents with a regular expression
+ * @param {string} dir - Absolute directory to search
+ * @param {Object} options - { pattern, glob, type, ignoreCase, context, limit, accept,
+ *   signal: AbortSignal checked between files }
+ * @returns {Promise<{output: string, matches: number, files: number, truncated: boolean,
+ *   capped: boolean, interrupted: boolean}>} output uses grep's format: "file:line:text"
+ *   for matches, "file-line-text" for context; interrupted when the signal stopped the search
+ * @throws {Error} If the pattern is not a valid regular expression
+ */
+async function searchFiles(dir, options = {}) {
+    const regex = new RegExp(options.pattern, options.ignoreCase ? 'i' : '');
+    const limit = Math.max(1, options.limit || DEFAULT_MATCH_LIMIT);
+    const context = Math.min(Math.max(0, options.context || 0), MAX_CONTEXT_LINES);
+    const byGlob = globFilter(options.glob);
+    const byType = typeFilter(options.type);
+
+    const blocks = [];
+    let chars = 0;
+    let matches = 0;
+    let fileCount = 0;
+    let truncated = false;
+    let interrupted = false;
+
+    const accept = options.accept || (() => true);
+    const listed = listFiles(dir, {
+        accept: file => {
+            const relative = path.relative(dir, file).split(path.sep).join('/');
+            return byGlob(relative) && byType(relative) && accept(file);
+        }
+    });
+
+    for (const relative of listed.files) {
+        if (options.signal && options.signal.aborted) {
+            interrupted = true;
+            break;
+        }
+        const file = path.join(dir, relative);
+        try {
+            if ((await fs.stat(file)).size > MAX_SEARCH_FILE_BYTES || isBinaryFile(file)) continue;
+        } catch (error) {
+            continue;
+        }
+
+        let lines;
+        try {
+            lines = (await fs.readFile(file, 'utf-8')).split(/\r?\n/);
+            if (lines[lines.length - 1] === '') lines.pop();
+        } catch (error) {
+            continue;
+        }
+
+        // Stop at the first match past the cap, so `truncated` means more matches exist
+        const hits = [];
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].length > MAX_SEARCH_LINE_CHARS || !regex.test(lines[i])) continue;
+            if (matches + hits.length >= limit) {
+                truncated = true;
+                break;
+            }
+            hits.push(i);
+        }
+        if (hits.length === 0) {
+            if (truncated) break;
+            continue;
+        }
+
+        const shown = new Set();
+        for (const hit of hits) {
+            for (let i = Math.max(0, hit - context); i <= Math.min(lines.length - 1, hit + context); i++) shown.add(i);
+        }
+        const hitSet = new Set(hits);
+        const output = [];
+        let blockChars = 0;
+        let kept = 0;
+        let previous = null;
+        for (const i of [...shown].sort((a, b) => a - b)) {
+            const separator = hitSet.has(i) ? ':' : '-';
+            const line = `${relative}${separator}${i + 1}${separator}${clip(lines[i])}`;
+            const gap = context > 0 && previous !== null && i > previous + 1;
+            // Cut the block where the output budget runs out, keeping the lines that fit
+            if (chars + blockChars + line.length + (gap ? 3 : 0) + 1 > MAX_OUTPUT_CHARS) {
+                truncated = true;
+                break;
+            }
+            if (gap) {
+                output.push('--');
+                blockChars += 3;
+            }
+            output.push(line);
+            blockChars += line.length + 1;
+            if (hitSet.has(i)) kept++;
+            previous = i;
+        }
+
+        if (kept > 0) {
+            blocks.push(output.join('\n'));
+            chars += blockChars + (context > 0 ? 3 : 0); // the "--" between files
+            matches += kept;
+            fileCount++;
+        }
+        if (truncated) break;
+    }
+
+    return {
+        output: blocks.join(context > 0 ? '\n--\n' : '\n'),
+        matches,
+        files: fileCount,
+        truncated,
+        capped: listed.capped,
+        interrupted
+    };
+}
+
+module.exports = {
+    FILE_TYPES,
+    DEFAULT_FIND_LIMIT,
+    DEFAULT_MATCH_LIMIT,
+    MAX_SCANNED_FILES,
+    findFiles,
+    searchFiles
+};
@@ -24,7 +24,8 @@ class ShellSession extends EventEmitter {
     /**
      * Execute a command in this shell session
      * @param {string} command - The command to execute
-     * @param {Object} options - Execution options
+     * @param {Object} options - Execution options (timeout, background, signal, env: extra
+     *   variables for this command only)
      * @returns {Promise<{stdout, stderr, exitCode, duration}>}
      */
     async execute(command, options = {}) {
@@ -46,9 +47,11 @@ class ShellSession extends EventEmitter {
         return new Promise((resolve, reject) => {
             const childProcess = exec(command, {
                 cwd: this.cwd,
-                env: this.env,
+                env: options.env ? { ...this.env, ...options.env } : this.env,
                 timeout,
-                maxBuffer: 10 * 1024 * 1024 // 10MB buffer
+                maxBuffer: 10 * 1024 * 1024, // 10MB buffer
+                // Background processes outlive the turn, so only foreground commands can be aborted
+                signal: runInBackground ? undefined : options.signal
             }, (error, stdout, stderr) => {
                 const duration = Date.now() - startTime;
 
@@ -69,6 +72,15 @@ class ShellSession extends EventEmitter {
                         background: true,
                         pid: childProcess.pid
                     });
+                } else if (error && error.name === 'AbortError') {
+                    // Aborted through options.signal (e.g. Ctrl+C); keep partial output
+                    resolve({
+                        stdout,
+                        stderr,
+                        exitCode: null,
+                        duration,
+                        interrupted: true
+                    });
                 } else if (error && error.code !== 0) {
                     // Command failed
                     resolve({
@@ -148,7 +160,8 @@ class ShellSession extends EventEmitter {
             const childProcess = spawn('sh', ['-c', command], {
                 cwd: this.cwd,
                 env: this.env,
-                timeout
+                timeout,
+                signal: options.signal
             });
 
             const historyEntry = {
@@ -187,6 +200,10 @@ class ShellSession extends EventEmitter {
             });
 
             childProcess.on('error', (error) => {
+                if (error.name === 'AbortError') {
+                    resolve({ exitCode: null, duration: Date.now() - startTime, interrupted: true });
+                    return;
+                }
                 onData({ type: 'error', data: error.message });
                 reject(error);
             });
@@ -8,8 +8,14 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const { ShellManager } = require('./shell');
 const { TaskManager, TaskStatus } = require('./agent');
+const { buildHunks, hunkHeader, formatHunk, formatDiff, diffStats, applyHunks } = require('./diff');
+const { FILE_TYPES, DEFAULT_FIND_LIMIT, DEFAULT_MATCH_LIMIT, MAX_SCANNED_FILES, findFiles, searchFiles } = require('./search');
+const { DEFAULT_RESULT_LIMIT, CodeIndex } = require('./codeindex');
 
 const execAsync = promisify(exec);
+const MAX_AUTO_PREVIEW_LINES = 200; // diff lines shown for changes approved without a prompt
+const EDIT_ACTIONS = new Set(['Write file', 'Edit file']); // what auto-edit mode approves
+const INDEX_REFRESH_MS = 30000; // search_codebase re-checks the workspace for changes at most this often
 
 // Define available tools
 const TOOL_DEFINITIONS = [
@@ -73,6 +79,57 @@ const TOOL_DEFINITIONS = [
             }
         }
     },
+    {
+        type: 'function',
+        function: {
+            name: 'find_files',
+            description: 'Find files by glob pattern, recursively. Skips files ignored by .gitignore. Returns sorted paths relative to the search directory.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    pattern: { type: 'string', description: 'Glob, e.g. "*.test.js" (matches file names at any depth) or "src/**/*.ts" (matches paths)' },
+                    path: { type: 'string', description: 'Directory to search (default: current directory)' },
+                    limit: { type: 'number', description: `Maximum number of paths to return (default: ${DEFAULT_FIND_LIMIT})` }
+                },
+                required: ['pattern']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'search_files',
+            description: 'Search file contents with a regular expression, recursively. Skips binary files and files ignored by .gitignore. Returns grep-style lines: "file:line:text" for matches and "file-line-text" for context.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    pattern: { type: 'string', description: 'JavaScript regular expression matched against each line' },
+                    path: { type: 'string', description: 'Directory to search (default: current directory)' },
+                    glob: { type: 'string', description: 'Only search files matching this glob, e.g. "*.js" or "src/**"' },
+                    type: { type: 'string', description: `Only search files of this type: ${Object.keys(FILE_TYPES).join(', ')}, or any file extension` },
+                    case_insensitive: { type: 'boolean', description: 'Ignore case (default: false)' },
+                    context: { type: 'number', description: 'Lines of context before and after each match (default: 0, max: 10)' },
+                    max_results: { type: 'number', description: `Maximum number of matching lines (default: ${DEFAULT_MATCH_LIMIT})` }
+                },
+                required: ['pattern']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'search_codebase',
+            description: 'Find the code most relevant to a question, ranked from a local index of the workspace. Returns whole functions or doc sections with their file and line range. Use it to locate code when you do not know exact names; use search_files for exact patterns.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Natural-language question or keywords, e.g. "where are retries handled for API calls"' },
+                    limit: { type: 'number', description: `Maximum number of chunks to return (default: ${DEFAULT_RESULT_LIMIT})` }
+                },
+                required: ['query']
+            }
+        }
+    },
     {
         type: 'function',
         function: {
@@ -199,24 +256,106 @@ const TOOL_DEFINITIONS = [
     }
 ];
 
+// Tools registered at runtime (plugins, MCP servers), keyed by tool name:
+// { handler, readOnly, asksForApproval }
+const registeredTools = new Map();
+const BUILTIN_TOOL_NAMES = new Set(TOOL_DEFINITIONS.map(def => def.function.name));
+
+/**
+ * Add a tool to TOOL_DEFINITIONS and route its calls to a handler
+ * @param {Object} definition - OpenAI function tool definition
+ * @param {Function} handler - async (args, context) => result; context is
+ *   { signal, approval: ApprovalWorkflow, shell: ShellManager }
+ * @param {Object} options - { readOnly: the tool changes nothing, so it runs without
+ *   approval; asksForApproval: the handler asks through context.approval itself }.
+ *   Calls to other tools are approved before the handler runs.
+ */
+function registerTool(definition, handler, options = {}) {
+    const name = definition.function && definition.function.name;
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(name || '')) {
+        throw new Error(`Invalid tool name "${name}" (use up to 64 letters, digits, "_" and "-")`);
+    }
+    if (TOOL_DEFINITIONS.some(def => def.function.name === name)) {
+        throw new Error(`Tool ${name} is already defined`);
+    }
+    TOOL_DEFINITIONS.push(definition);
+    registeredTools.set(name, {
+        handler,
+        readOnly: Boolean(options.readOnly),
+        asksForApproval: Boolean(options.asksForApproval)
+    });
+}
+
+/**
+ * Remove a tool added with registerTool
+ */
+function unregisterTool(name) {
+    if (BUILTIN_TOOL_NAMES.has(name)) {
+        throw new Error(`Cannot remove built-in tool ${name}`);
+    }
+    const index = TOOL_DEFINITIONS.findIndex(def => def.function.name === name);
+    if (index !== -1) TOOL_DEFINITIONS.splice(index, 1);
+    registeredTools.delete(name);
+}
+
+/**
+ * Render tool definitions as a markdown list for the system prompt
+ * @param {Array} definitions - Tool definitions (defaults to TOOL_DEFINITIONS)
+ * @returns {string}
+ */
+function describeTools(definitions = TOOL_DEFINITIONS) {
+    return definitions
+        .map(def => `- **${def.function.name}** - ${def.function.description}`)
+        .join('\n');
+}
+
 // Approval workflow
 class ApprovalWorkflow {
     constructor(mode = 'suggest') {
         this.mode = mode; // 'suggest', 'auto-edit', 'full-auto'
+        this.interactive = true; // false when there is no terminal to ask on
+        this.output = process.stdout; // stream the confirmation prompt is written to
+        this.rule = null; // { decision, rule, confirmed } from a permission rule for the call in progress
+    }
+    
+    /**
+     * Decide an action without asking, from the permission rule and the mode
+     * @returns {string|null} The message to log when no prompt is needed
+     */
+    autoApproval(action) {
+        // A matching permission rule takes precedence over the mode
+        if (this.rule && this.rule.confirmed) {
+            return `Already approved: ${action}`;
+        }
+        if (this.rule && this.rule.decision === 'allow') {
+            return `Allowed by rule ${this.rule.rule}: ${action}`;
+        }
+        const mustAsk = Boolean(this.rule && this.rule.decision === 'ask');
+        
+        if (this.mode === 'full-auto' && !mustAsk) {
+            return `Auto-approved: ${action}`;
+        }
+        
+        if (this.mode === 'auto-edit' && EDIT_ACTIONS.has(action) && !mustAsk) {
+            return `Auto-approved edit: ${action}`;
+        }
+        return null;
     }
     
     async requestApproval(action, details) {
-        if (this.mode === 'full-auto') {
-            console.log(chalk.dim(`Auto-approved: ${action}`));
+        const auto = this.autoApproval(action);
+        if (auto) {
+            console.log(chalk.dim(auto));
             return true;
         }
         
-        if (this.mode === 'auto-edit' && action.includes('edit')) {
-            console.log(chalk.dim(`Auto-approved edit: ${action}`));
-            return true;
+        if (!this.interactive) {
+            console.log(chalk.yellow(`Denied (no terminal to confirm): ${action}`));
+            return false;
         }
         
-        const { approved } = await inquirer.prompt([{
+        const prompt = inquirer.createPromptModule({ output: this.output });
+        const { approved } = await prompt([{
             type: 'confirm',
             name: 'approved',
             message: `Allow: ${action}?\n${chalk.dim(details)}`,
@@ -225,6 +364,67 @@ class ApprovalWorkflow {
         
         return approved;
     }
+    
+    /**
+     * Show a file change as a coloured diff and ask which hunks to apply
+     * @param {string} action - e.g. 'Write file'
+     * @param {string} filePath - Path shown in the diff header
+     * @param {Array<Object>} hunks - From buildHunks
+     * @param {Object} options - { isNew: the file does not exist yet }
+     * @returns {Promise<Array<number>>} Indexes of the accepted hunks
+     */
+    async reviewHunks(action, filePath, hunks, options = {}) {
+        const all = hunks.map((hunk, i) => i);
+        const diff = formatDiff(filePath, hunks, { isNew: options.isNew });
+        const { added, removed } = diffStats(hunks);
+        const summary = `${action}: ${filePath} (${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)}, ${hunks.length} hunk${hunks.length === 1 ? '' : 's'})`;
+        
+        const auto = this.autoApproval(action);
+        if (auto) {
+            const lines = diff.split('\n');
+            console.log(lines.slice(0, MAX_AUTO_PREVIEW_LINES).join('\n'));
+            if (lines.length > MAX_AUTO_PREVIEW_LINES) {
+                console.log(chalk.dim(`... ${lines.length - MAX_AUTO_PREVIEW_LINES} more diff lines`));
+            }
+            console.log(chalk.dim(auto));
+            return all;
+        }
+        
+        if (!this.interactive) {
+            console.log(chalk.yellow(`Denied (no terminal to confirm): ${action}`));
+            return [];
+        }
+        
+        const prompt = inquirer.createPromptModule({ output: this.output });
+        this.output.write(`${summary}\n${diff}\n`);
+        const choices = [
+            { name: 'Accept all', value: 'all' },
+            { name: 'Reject all', value: 'none' }
+        ];
+        if (hunks.length > 1) choices.push({ name: 'Choose hunks one by one', value: 'each' });
+        
+        const { decision } = await prompt([{
+            type: 'list',
+            name: 'decision',
+            message: `Apply changes to ${filePath}?`,
+            choices
+        }]);
+        if (decision === 'all') return all;
+        if (decision === 'none') return [];
+        
+        const accepted = [];
+        for (const i of all) {
+            this.output.write(`\n${chalk.bold(`Hunk ${i + 1}/${hunks.length}`)}\n${formatHunk(hunks[i])}\n`);
+            const { apply } = await prompt([{
+                type: 'confirm',
+                name: 'apply',
+                message: `Apply hunk ${i + 1}?`,
+                default: true
+            }]);
+            if (apply) accepted.push(i);
+        }
+        return accepted;
+    }
 }
 
 // Tool executor
@@ -232,9 +432,65 @@ class ToolExecutor {
     constructor(approvalWorkflow) {
         this.approval = approvalWorkflow;
         this.shellManager = new ShellManager();
+        this.hooks = null; // HookRunner for preToolUse/postToolUse hooks, if any
+        this.permissions = null; // PermissionRules checked before approval, if any
+        this.workspace = null; // Workspace that file tools are confined to, if any
+        this.checkpoints = null; // CheckpointStore that snapshots files before they change, if any
+        this.codeIndex = null; // CodeIndex for search_codebase, opened on first use
+        this.codeIndexCheckedAt = 0; // when codeIndex was last brought up to date
+    }
+    
+    /**
+     * Execute a tool by name: check permission rules, then run any preToolUse and
+     * postToolUse hooks around it
+     * @param {string} name - Tool name
+     * @param {Object} args - Tool arguments
+     * @param {Object} context - { signal } AbortSignal that cancels long-running tools
+     */
+    async execute(name, args, context = {}) {
+        const verdict = this.permissions ? this.permissions.check(name, args, this.shellManager.getCwd()) : { decision: null };
+        if (verdict.decision === 'deny') {
+            console.log(chalk.red(`🚫 ${name} denied by rule ${verdict.rule}`));
+            return { denied: true, error: `Denied by permission rule ${verdict.rule}` };
+        }
+        
+        if (this.hooks) {
+            const pre = await this.hooks.run('preToolUse', { tool: name, args, cwd: this.shellManager.getCwd() });
+            if (pre.blocked) {
+                console.log(chalk.yellow(`🚫 ${name} blocked by hook: ${pre.reason}`));
+                return { blocked: true, error: `Blocked by a preToolUse hook: ${pre.reason}` };
+            }
+        }
+        
+        let result;
+        this.approval.rule = verdict.decision ? verdict : null;
+        try {
+            // Registered tools are approved here like built-in ones, unless they are read-only
+            // or ask for themselves; an ask rule always prompts. The handler's own prompt is then skipped
+            const registered = registeredTools.get(name);
+            if (registered && (verdict.decision === 'ask' || !(registered.readOnly || registered.asksForApproval))) {
+                const approved = await this.approval.requestApproval(`Run tool ${name}`, `Arguments: ${JSON.stringify(args)}`);
+                if (!approved) return { cancelled: true };
+                this.approval.rule = { ...verdict, confirmed: true };
+            }
+            result = await this.runTool(name, args, context);
+        } finally {
+            this.approval.rule = null;
+        }
+        
+        if (this.hooks) {
+            const post = await this.hooks.run('postToolUse', { tool: name, args, result, cwd: this.shellManager.getCwd() });
+            if (post.blocked) {
+                // Feed the hook's message back to the model alongside the result
+                return typeof result === 'object' && result !== null
+                    ? { ...result, hookFeedback: post.reason }
+                    : { result, hookFeedback: post.reason };
+            }
+        }
+        return result;
     }
     
-    async execute(name, args) {
+    async runTool(name, args, context) {
         try {
             switch (name) {
                 case 'read_file':
@@ -249,6 +505,15 @@ class ToolExecutor {
                 case 'list_directory':
                     return await this.listDirectory(args);
                     
+                case 'find_files':
+                    return await this.findFiles(args);
+                    
+                case 'search_files':
+                    return await this.searchFiles(args, context);
+                    
+                case 'search_codebase':
+                    return await this.searchCodebase(args);
+                    
                 case 'create_directory':
                     return await this.createDirectory(args);
                     
@@ -256,7 +521,7 @@ class ToolExecutor {
                     return await this.deleteFile(args);
                     
                 case 'run_command':
-                    return await this.runCommand(args);
+                    return await this.runCommand(args, context);
 
                 case 'get_shell_cwd':
                     return await this.getShellCwd();
@@ -271,12 +536,19 @@ class ToolExecutor {
                     return await this.killBackgroundProcess(args);
 
                 case 'http_request':
-                    return await this.httpRequest(args);
+                    return await this.httpRequest(args, context);
 
                 case 'get_environment_info':
                     return await this.getEnvironmentInfo();
 
                 default:
+                    if (registeredTools.has(name)) {
+                        return await registeredTools.get(name).handler(args, {
+                            ...context,
+                            approval: this.approval,
+                            shell: this.shellManager
+                        });
+                    }
                     return { error: `Unknown tool: ${name}` };
             }
         } catch (error) {
@@ -284,58 +556,117 @@ class ToolExecutor {
         }
     }
     
+    /**
+     * Resolve a file tool's path against the shell session's cwd, rejecting
+     * paths outside the workspace
+     */
+    resolvePath(filePath) {
+        const cwd = this.shellManager.getCwd();
+        return this.workspace ? this.workspace.resolve(filePath, cwd) : path.resolve(cwd, filePath);
+    }
+    
     async readFile(args) {
+        const filePath = this.resolvePath(args.path);
         const approved = await this.approval.requestApproval(
             'Read file',
-            `Path: ${args.path}`
+            `Path: ${filePath}`
         );
         
         if (!approved) return { cancelled: true };
         
-        const content = await fs.readFile(args.path, 'utf-8');
+        const content = await fs.readFile(filePath, 'utf-8');
         return { content, lines: content.split('\n').length };
     }
     
     async writeFile(args) {
-        const approved = await this.approval.requestApproval(
-            'Write file',
-            `Path: ${args.path}\nSize: ${args.content.length} chars`
-        );
+        const filePath = this.resolvePath(args.path);
+        const exists = await fs.pathExists(filePath);
+        const current = exists ? await fs.readFile(filePath, 'utf-8') : '';
         
-        if (!approved) return { cancelled: true };
+        if (!exists && !args.content) {
+            // Nothing to diff for a new empty file
+            const approved = await this.approval.requestApproval(
+                'Write file',
+                `Path: ${filePath}\nSize: 0 chars`
+            );
+            if (!approved) return { cancelled: true };
+            await this.checkpoint(filePath, 'write_file');
+            await fs.ensureFile(filePath);
+            return { success: true, path: filePath };
+        }
         
-        await fs.ensureFile(args.path);
-        await fs.writeFile(args.path, args.content);
-        return { success: true, path: args.path };
+        const applied = await this.applyChanges('Write file', 'write_file', filePath, current, args.content, !exists);
+        return { ...applied, path: filePath };
     }
     
     async editFile(args) {
-        const approved = await this.approval.requestApproval(
-            'Edit file',
-            `Path: ${args.path}\nReplace: "${args.search.substring(0, 50)}..."`
-        );
+        const filePath = this.resolvePath(args.path);
+        const current = await fs.readFile(filePath, 'utf-8');
+        const occurrences = (current.match(new RegExp(args.search, 'g')) || []).length;
+        const content = current.replace(new RegExp(args.search, 'g'), args.replace);
         
-        if (!approved) return { cancelled: true };
+        const applied = await this.applyChanges('Edit file', 'edit_file', filePath, current, content, false);
+        return { ...applied, replacements: occurrences };
+    }
+    
+    /**
+     * Snapshot a file before it changes; a failed snapshot is reported but does not stop the change
+     */
+    async checkpoint(filePath, tool) {
+        this.codeIndexCheckedAt = 0; // the next search_codebase picks up the change
+        if (!this.checkpoints) return;
+        try {
+            const change = await this.checkpoints.snapshot(filePath, tool);
+            if (change && change.skipped) {
+                console.log(chalk.yellow(`⚠️  No checkpoint for ${filePath}: ${change.skipped}`));
+            }
+        } catch (error) {
+            console.log(chalk.yellow(`⚠️  Could not checkpoint ${filePath}: ${error.message}`));
+        }
+    }
+    
+    /**
+     * Review a change hunk by hunk and write the accepted hunks
+     * @returns {Promise<Object>} Tool result listing which hunks were applied
+     */
+    async applyChanges(action, tool, filePath, current, content, isNew) {
+        const hunks = buildHunks(current, content);
+        if (hunks.length === 0) {
+            return { success: true, unchanged: true };
+        }
         
-        let content = await fs.readFile(args.path, 'utf-8');
-        const occurrences = (content.match(new RegExp(args.search, 'g')) || []).length;
-        content = content.replace(new RegExp(args.search, 'g'), args.replace);
-        await fs.writeFile(args.path, content);
+        const relative = path.relative(this.shellManager.getCwd(), filePath);
+        const shownPath = relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : filePath;
+        const accepted = await this.approval.reviewHunks(action, shownPath, hunks, { isNew });
+        const report = hunks.map((hunk, i) => ({ hunk: i + 1, header: hunkHeader(hunk), applied: accepted.includes(i) }));
+        if (accepted.length === 0) {
+            return { cancelled: true, hunks: report };
+        }
         
-        return { success: true, replacements: occurrences };
+        await this.checkpoint(filePath, tool);
+        if (isNew) await fs.ensureFile(filePath);
+        await fs.writeFile(filePath, applyHunks(current, hunks, accepted));
+        
+        const result = { success: true, hunks: report };
+        if (accepted.length < hunks.length) {
+            const rejected = report.filter(entry => !entry.applied).map(entry => entry.hunk);
+            result.note = `Hunk${rejected.length === 1 ? '' : 's'} ${rejected.join(', ')} of ${hunks.length} ${rejected.length === 1 ? 'was' : 'were'} rejected, so the file differs from what you sent. Read it again before editing further.`;
+        }
+        return result;
     }
     
     async listDirectory(args) {
+        const dirPath = this.resolvePath(args.path);
         const approved = await this.approval.requestApproval(
             'List directory',
-            `Path: ${args.path}`
+            `Path: ${dirPath}`
         );
         
         if (!approved) return { cancelled: true };
         
-        const items = await fs.readdir(args.path);
+        const items = await fs.readdir(dirPath);
         const details = await Promise.all(items.map(async item => {
-            const fullPath = path.join(args.path, item);
+            const fullPath = path.join(dirPath, item);
             const stats = await fs.stat(fullPath);
             return {
                 name: item,
@@ -347,31 +678,143 @@ class ToolExecutor {
         return { items: details };
     }
     
+    async findFiles(args) {
+        const dirPath = this.resolvePath(args.path || '.');
+        const approved = await this.approval.requestApproval(
+            'Find files',
+            `Pattern: ${args.pattern}\nDirectory: ${dirPath}`
+        );
+        
+        if (!approved) return { cancelled: true };
+        
+        const found = findFiles(dirPath, {
+            pattern: args.pattern,
+            limit: args.limit,
+            accept: this.workspace ? file => this.workspace.allows(file) : undefined
+        });
+        const result = { files: found.files };
+        if (found.truncated) {
+            result.note = `Showing the first ${found.files.length} matching files; use a narrower pattern or path to see the rest`;
+        } else if (found.capped) {
+            result.note = `Only the first ${MAX_SCANNED_FILES} files in this directory were looked at; use a narrower path to see the rest`;
+        }
+        return result;
+    }
+    
+    async searchFiles(args, context = {}) {
+        const dirPath = this.resolvePath(args.path || '.');
+        const approved = await this.approval.requestApproval(
+            'Search files',
+            `Pattern: /${args.pattern}/${args.case_insensitive ? 'i' : ''}\nDirectory: ${dirPath}${args.glob ? `\nGlob: ${args.glob}` : ''}${args.type ? `\nType: ${args.type}` : ''}`
+        );
+        
+        if (!approved) return { cancelled: true };
+        
+        const found = await searchFiles(dirPath, {
+            pattern: args.pattern,
+            glob: args.glob,
+            type: args.type,
+            ignoreCase: args.case_insensitive,
+            context: args.context,
+            limit: args.max_results,
+            accept: this.workspace ? file => this.workspace.allows(file) : undefined,
+            signal: context.signal
+        });
+        const result = found.matches === 0
+            ? { matches: 0, results: '' }
+            : { matches: found.matches, files: found.files, results: found.output };
+        if (found.interrupted) {
+            result.interrupted = true;
+            result.note = 'The search was interrupted; results are partial';
+        } else if (found.truncated) {
+            result.note = found.matches === 0
+                ? 'Matches were found, but none fit in the output limit. Narrow the pattern, path, glob or type'
+                : `Stopped after ${found.matches} match${found.matches === 1 ? '' : 'es'}; there are more. Narrow the pattern, path, glob or type to see them`;
+        } else if (found.capped) {
+            result.note = `Only the first ${MAX_SCANNED_FILES} files in this directory were searched; use a narrower path, glob or type to see the rest`;
+        }
+        return result;
+    }
+    
+    /**
+     * The workspace's code index, brought up to date when it was last checked more than
+     * INDEX_REFRESH_MS ago or a file tool has changed a file since
+     * @param {Object} options - { force: update regardless, onStart: called with whether the index
+     *   is built from scratch before an update, onProgress: (done, total) files }
+     * @returns {Promise<CodeIndex>}
+     */
+    async getCodeIndex(options = {}) {
+        const root = path.resolve(this.workspace ? this.workspace.root : this.shellManager.getCwd());
+        if (!this.codeIndex || this.codeIndex.root !== root) {
+            this.codeIndex = new CodeIndex(root);
+            this.codeIndexCheckedAt = 0;
+        }
+        if (options.force || Date.now() - this.codeIndexCheckedAt >= INDEX_REFRESH_MS) {
+            if (options.onStart) options.onStart(!this.codeIndex.load());
+            await this.codeIndex.update({
+                accept: this.workspace ? file => this.workspace.allows(file) : undefined,
+                onProgress: options.onProgress
+            });
+            this.codeIndexCheckedAt = Date.now();
+        }
+        return this.codeIndex;
+    }
+    
+    async searchCodebase(args) {
+        const root = this.workspace ? this.workspace.root : this.shellManager.getCwd();
+        const approved = await this.approval.requestApproval(
+            'Search codebase',
+            `Query: ${args.query}\nIndex of: ${root}`
+        );
+        
+        if (!approved) return { cancelled: true };
+        
+        const index = await this.getCodeIndex({
+            onStart: building => {
+                if (building) console.log(chalk.dim(`Building the code index of ${root} (grok index builds it ahead of time)...`));
+            }
+        });
+        const results = index.search(args.query, { limit: args.limit });
+        if (results.length === 0) {
+            return { results: [], note: 'No indexed code matches the query; try other keywords or search_files' };
+        }
+        return {
+            results: results.map(r => ({ file: r.file, lines: `${r.start}-${r.end}`, score: r.score, content: r.content }))
+        };
+    }
+    
     async createDirectory(args) {
+        const dirPath = this.resolvePath(args.path);
         const approved = await this.approval.requestApproval(
             'Create directory',
-            `Path: ${args.path}`
+            `Path: ${dirPath}`
         );
         
         if (!approved) return { cancelled: true };
         
-        await fs.ensureDir(args.path);
-        return { success: true, path: args.path };
+        await fs.ensureDir(dirPath);
+        return { success: true, path: dirPath };
     }
     
     async deleteFile(args) {
+        const filePath = this.resolvePath(args.path);
+        if (this.workspace && this.workspace.isRoot(filePath)) {
+            return { error: `Refusing to delete the workspace directory ${filePath}` };
+        }
+        
         const approved = await this.approval.requestApproval(
             'Delete file/directory',
-            `Path: ${args.path}\n⚠️ This action cannot be undone!`
+            `Path: ${filePath}\n${this.checkpoints ? 'A snapshot is kept; /rewind restores it' : '⚠️ This action cannot be undone!'}`
         );
         
         if (!approved) return { cancelled: true };
         
-        await fs.remove(args.path);
-        return { success: true, deleted: args.path };
+        await this.checkpoint(filePath, 'delete_file');
+        await fs.remove(filePath);
+        return { success: true, deleted: filePath };
     }
     
-    async runCommand(args) {
+    async runCommand(args, context = {}) {
         const cwd = args.cwd || this.shellManager.getCwd();
 
         const approved = await this.approval.requestApproval(
@@ -398,7 +841,8 @@ class ToolExecutor {
                 },
                 {
                     timeout: args.timeout,
-                    cwd: args.cwd
+                    cwd: args.cwd,
+                    signal: context.signal
                 }
             );
 
@@ -407,7 +851,8 @@ class ToolExecutor {
             const result = await this.shellManager.execute(args.command, {
                 timeout: args.timeout,
                 background: args.background,
-                cwd: args.cwd
+                cwd: args.cwd,
+                signal: context.signal
             });
 
             return result;
@@ -457,7 +902,7 @@ class ToolExecutor {
         return { success: killed };
     }
     
-    async httpRequest(args) {
+    async httpRequest(args, context = {}) {
         const approved = await this.approval.requestApproval(
             'Make HTTP request',
             `${args.method || 'GET'} ${args.url}`
@@ -469,7 +914,8 @@ class ToolExecutor {
             url: args.url,
             method: args.method || 'GET',
             headers: args.headers || {},
-            data: args.data
+            data: args.data,
+            signal: context.signal
         });
         
         return {
@@ -682,6 +1128,9 @@ class ToolChain {
 
 module.exports = {
     TOOL_DEFINITIONS,
+    registerTool,
+    unregisterTool,
+    describeTools,
     ApprovalWorkflow,
     ToolExecutor,
     ParallelToolExecutor,
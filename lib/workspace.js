@@ -0,0 +1,112 @@
+// Workspace sandbox for Grok CLI
+// Keeps file tools inside the project root and any extra allowed directories
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Expand a leading ~ to the home directory
+ */
+function expandHome(filePath) {
+    return filePath === '~' || filePath.startsWith('~/')
+        ? path.join(os.homedir(), filePath.slice(1))
+        : filePath;
+}
+
+/**
+ * Resolve symlinks in a path that may not exist yet: the deepest existing
+ * ancestor is resolved and the missing segments are appended
+ */
+function realpathAllowMissing(absolutePath) {
+    const missing = [];
+    let current = absolutePath;
+    while (true) {
+        try {
+            return path.join(fs.realpathSync(current), ...missing);
+        } catch (error) {
+            if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+            const parent = path.dirname(current);
+            if (parent === current) return absolutePath;
+            missing.unshift(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+/**
+ * The directories file tools may touch
+ */
+class Workspace {
+    /**
+     * @param {Object} options - { root, allowedDirs: extra directories }
+     */
+    constructor(options = {}) {
+        this.root = path.resolve(expandHome(options.root || process.cwd()));
+        this.allowedDirs = (options.allowedDirs || []).map(dir => path.resolve(this.root, expandHome(dir)));
+        this.realRoots = [this.root, ...this.allowedDirs].map(realpathAllowMissing);
+    }
+
+    /**
+     * Check whether a symlink-free absolute path is inside one of the roots
+     */
+    contains(realPath) {
+        return this.realRoots.some(root => realPath === root || realPath.startsWith(root.endsWith(path.sep) ? root : root + path.sep));
+    }
+
+    /**
+     * Resolve a tool's path argument against the shell's working directory and
+     * check it, following symlinks, against the workspace
+     * @param {string} inputPath - Path as given by the model
+     * @param {string} cwd - Directory relative paths are resolved against
+     * @returns {string} Absolute path
+     * @throws {Error} If the path resolves outside the workspace
+     */
+    resolve(inputPath, cwd = this.root) {
+        if (typeof inputPath !== 'string' || !inputPath.trim()) {
+            throw new Error('A path is required');
+        }
+
+        const absolute = path.resolve(cwd, expandHome(inputPath));
+        let real;
+        try {
+            real = realpathAllowMissing(absolute);
+        } catch (error) {
+            throw new Error(`Cannot resolve ${inputPath}: ${error.message}`);
+        }
+
+        if (!this.contains(real)) {
+            const via = real !== absolute ? ` (resolves to ${real})` : '';
+            throw new Error(`${inputPath}${via} is outside the workspace. Allowed: ${this.describe()}`);
+        }
+        return absolute;
+    }
+
+    /**
+     * Check an absolute path, following symlinks, without throwing
+     */
+    allows(absolutePath) {
+        try {
+            return this.contains(realpathAllowMissing(absolutePath));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check whether a path is one of the workspace roots
+     */
+    isRoot(absolutePath) {
+        return this.realRoots.includes(realpathAllowMissing(absolutePath));
+    }
+
+    describe() {
+        return [this.root, ...this.allowedDirs].join(', ');
+    }
+}
+
+module.exports = {
+    expandHome,
+    realpathAllowMissing,
+    Workspace
+};
@@ -2,13 +2,14 @@
 
 /**
  * Test script for agentic features
- * Tests shell management, task tracking, and parallel execution
+ * Tests shell management, task tracking, parallel execution, approval modes and
+ * approval of registered tools
  */
 
 const chalk = require('chalk');
 const { ShellManager } = require('./lib/shell');
 const { TaskManager, AgentPlanner } = require('./lib/agent');
-const { ToolExecutor, ApprovalWorkflow, ParallelToolExecutor, ToolChain } = require('./lib/tools');
+const { ToolExecutor, ApprovalWorkflow, ParallelToolExecutor, ToolChain, registerTool, unregisterTool } = require('./lib/tools');
 
 console.log(chalk.bold.cyan('\n🧪 Testing Agentic Features\n'));
 
@@ -203,6 +204,88 @@ async function testToolChaining() {
     }
 }
 
+// Test 5: Approval Modes
+async function testApprovalModes() {
+    console.log(chalk.yellow('Test 5: Approval Modes'));
+    console.log(chalk.dim('Testing which actions each mode approves without a prompt...\n'));
+
+    const expectations = [
+        ['suggest', 'Write file', false],
+        ['suggest', 'Read file', false],
+        ['auto-edit', 'Write file', true],
+        ['auto-edit', 'Edit file', true],
+        ['auto-edit', 'Run shell command', false],
+        ['auto-edit', 'Delete file/directory', false],
+        ['full-auto', 'Run shell command', true]
+    ];
+
+    try {
+        for (const [mode, action, expected] of expectations) {
+            const approved = Boolean(new ApprovalWorkflow(mode).autoApproval(action));
+            if (approved !== expected) {
+                throw new Error(`${mode} ${expected ? 'should' : 'should not'} auto-approve "${action}"`);
+            }
+            console.log(chalk.green(`✓ ${mode}: ${action} → ${approved ? 'auto-approved' : 'prompt'}`));
+        }
+
+        const workflow = new ApprovalWorkflow('auto-edit');
+        workflow.rule = { decision: 'ask', rule: 'edit_file' };
+        if (workflow.autoApproval('Edit file')) {
+            throw new Error('an ask rule should override auto-edit');
+        }
+        console.log(chalk.green('✓ auto-edit: ask rule still prompts for Edit file'));
+
+        console.log(chalk.bold.green('\n✓ Approval Mode Tests Passed\n'));
+        return true;
+    } catch (error) {
+        console.log(chalk.red(`✗ Approval Mode Test Failed: ${error.message}\n`));
+        return false;
+    }
+}
+
+// Test 6: Registered Tool Approval
+async function testRegisteredToolApproval() {
+    console.log(chalk.yellow('Test 6: Registered Tool Approval'));
+    console.log(chalk.dim('Testing that plugin tools are approved unless read-only...\n'));
+
+    const define = name => ({ type: 'function', function: { name, parameters: { type: 'object', properties: {} } } });
+    registerTool(define('test_write_tool'), async (args, { approval }) => ({ ran: true, inner: await approval.requestApproval('Inner step', '') }));
+    registerTool(define('test_read_tool'), async () => ({ ran: true }), { readOnly: true });
+
+    try {
+        const run = async (mode, name) => {
+            const executor = new ToolExecutor(new ApprovalWorkflow(mode));
+            executor.approval.interactive = false; // a prompt counts as a refusal
+            return executor.execute(name, {});
+        };
+
+        if (!(await run('suggest', 'test_write_tool')).cancelled) {
+            throw new Error('a plugin tool should need approval in suggest mode');
+        }
+        console.log(chalk.green('✓ suggest: plugin tool → prompt'));
+
+        if (!(await run('suggest', 'test_read_tool')).ran) {
+            throw new Error('a read-only plugin tool should run without approval');
+        }
+        console.log(chalk.green('✓ suggest: read-only plugin tool → runs'));
+
+        const result = await run('full-auto', 'test_write_tool');
+        if (!result.ran || !result.inner) {
+            throw new Error('full-auto should run the plugin tool without a second prompt');
+        }
+        console.log(chalk.green('✓ full-auto: plugin tool → runs, its own prompt already approved'));
+
+        console.log(chalk.bold.green('\n✓ Registered Tool Approval Tests Passed\n'));
+        return true;
+    } catch (error) {
+        console.log(chalk.red(`✗ Registered Tool Approval Test Failed: ${error.message}\n`));
+        return false;
+    } finally {
+        unregisterTool('test_write_tool');
+        unregisterTool('test_read_tool');
+    }
+}
+
 // Run all tests
 async function runAllTests() {
     console.log(chalk.bold('Running all agentic feature tests...\n'));
@@ -211,7 +294,9 @@ async function runAllTests() {
         shellManagement: await testShellManagement(),
         taskManagement: await testTaskManagement(),
         parallelExecution: await testParallelExecution(),
-        toolChaining: await testToolChaining()
+        toolChaining: await testToolChaining(),
+        approvalModes: await testApprovalModes(),
+        registeredToolApproval: await testRegisteredToolApproval()
     };
 
     // Summary
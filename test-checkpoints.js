@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for file checkpoints
+ * Tests how other sessions' checkpoints are pruned
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { CheckpointStore, MAX_SESSION_AGE_MS, MAX_SESSIONS } = require('./lib/checkpoints');
+
+console.log(chalk.bold.cyan('\n🧪 Testing Checkpoints\n'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A session directory whose manifest was last written `ageMs` ago
+function addSession(baseDir, sessionId, ageMs) {
+    const manifestPath = path.join(baseDir, sessionId, 'manifest.json');
+    fs.outputJsonSync(manifestPath, { turns: [], changes: [] });
+    const time = new Date(Date.now() - ageMs);
+    fs.utimesSync(manifestPath, time, time);
+}
+
+function sessionsLeft(baseDir) {
+    return fs.readdirSync(baseDir).sort();
+}
+
+function expectSessions(baseDir, expected) {
+    const left = sessionsLeft(baseDir);
+    if (left.join(',') !== [...expected].sort().join(',')) {
+        throw new Error(`expected sessions ${[...expected].sort().join(', ')}, got ${left.join(', ')}`);
+    }
+}
+
+// Test 1: Sessions past the age limit are pruned
+function testAgeLimit() {
+    console.log(chalk.yellow('Test 1: Age limit'));
+    const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grok-checkpoints-test-'));
+
+    try {
+        addSession(baseDir, 'current', MAX_SESSION_AGE_MS + DAY_MS);
+        addSession(baseDir, 'recent', DAY_MS);
+        addSession(baseDir, 'old', MAX_SESSION_AGE_MS + DAY_MS);
+        addSession(baseDir, 'saved', MAX_SESSION_AGE_MS + DAY_MS);
+
+        const store = new CheckpointStore(baseDir, { isResumable: sessionId => sessionId === 'saved' });
+        const removed = store.prune('current');
+        if (removed !== 1) throw new Error(`expected 1 session removed, got ${removed}`);
+        expectSessions(baseDir, ['current', 'recent', 'saved']);
+        console.log(chalk.green('✓ Old session pruned; current, recent and saved sessions kept'));
+        console.log(chalk.bold.green('\n✓ Age Limit Tests Passed\n'));
+        return true;
+    } catch (error) {
+        console.log(chalk.red(`✗ Age Limit Test Failed: ${error.message}\n`));
+        return false;
+    } finally {
+        fs.removeSync(baseDir);
+    }
+}
+
+// Test 2: Beyond MAX_SESSIONS, the oldest sessions are pruned
+function testCountLimit() {
+    console.log(chalk.yellow('Test 2: Count limit'));
+    const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grok-checkpoints-test-'));
+
+    try {
+        // Minutes apart, newest first: session-0 is the most recent
+        const names = [];
+        for (let i = 0; i < MAX_SESSIONS + 2; i++) {
+            names.push(`session-${i}`);
+            addSession(baseDir, `session-${i}`, (i + 1) * 60 * 1000);
+        }
+        addSession(baseDir, 'saved', MAX_SESSIONS * 2 * 60 * 1000);
+
+        const store = new CheckpointStore(baseDir, { isResumable: sessionId => sessionId === 'saved' });
+        const removed = store.prune('current');
+        if (removed !== 3) throw new Error(`expected 3 sessions removed, got ${removed}`);
+        // The kept session takes one of the MAX_SESSIONS places
+        expectSessions(baseDir, [...names.slice(0, MAX_SESSIONS - 1), 'saved']);
+        console.log(chalk.green(`✓ ${MAX_SESSIONS - 1} most recent sessions kept besides the current one`));
+        console.log(chalk.green('✓ Saved session kept regardless of the count'));
+        console.log(chalk.bold.green('\n✓ Count Limit Tests Passed\n'));
+        return true;
+    } catch (error) {
+        console.log(chalk.red(`✗ Count Limit Test Failed: ${error.message}\n`));
+        return false;
+    } finally {
+        fs.removeSync(baseDir);
+    }
+}
+
+const results = {
+    ageLimit: testAgeLimit(),
+    countLimit: testCountLimit()
+};
+
+console.log(chalk.bold.cyan('📊 Test Summary\n'));
+for (const [name, result] of Object.entries(results)) {
+    console.log(`  ${result ? chalk.green('✓ PASS') : chalk.red('✗ FAIL')} - ${name}`);
+}
+process.exit(Object.values(results).every(Boolean) ? 0 : 1);
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Stub MCP server for testing the MCP client
+ * Speaks newline-delimited JSON-RPC on stdio and offers a few toy tools:
+ *   echo  - returns its text
+ *   add   - adds two numbers
+ *   fail  - returns an error result
+ *   crash - exits the process, to exercise restarts
+ *
+ * Use it from config.json:
+ *   "mcpServers": { "stub": { "command": "node", "args": ["/path/to/test-mcp-server.js"] } }
+ */
+
+const readline = require('readline');
+
+const TOOLS = [
+    {
+        name: 'echo',
+        description: 'Echo text back',
+        inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+    },
+    {
+        name: 'add',
+        description: 'Add two numbers',
+        inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] }
+    },
+    {
+        name: 'fail',
+        description: 'Always returns an error result',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'crash',
+        description: 'Exit the server process',
+        inputSchema: { type: 'object', properties: {} }
+    }
+];
+
+function send(message) {
+    process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+function callTool(name, args) {
+    switch (name) {
+        case 'echo':
+            return { content: [{ type: 'text', text: String(args.text) }] };
+        case 'add':
+            return { content: [{ type: 'text', text: String(Number(args.a) + Number(args.b)) }] };
+        case 'fail':
+            return { content: [{ type: 'text', text: 'Something went wrong' }], isError: true };
+        case 'crash':
+            console.error('crashing on request');
+            process.exit(1);
+        default:
+            return null;
+    }
+}
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+    const message = JSON.parse(line);
+    if (message.id === undefined) return; // notifications
+
+    switch (message.method) {
+        case 'initialize':
+            send({
+                id: message.id,
+                result: {
+                    protocolVersion: message.params.protocolVersion,
+                    capabilities: { tools: {} },
+                    serverInfo: { name: 'stub', version: '1.0.0' }
+                }
+            });
+            break;
+        case 'tools/list':
+            send({ id: message.id, result: { tools: TOOLS } });
+            break;
+        case 'tools/call': {
+            const result = callTool(message.params.name, message.params.arguments || {});
+            if (result) {
+                send({ id: message.id, result });
+            } else {
+                send({ id: message.id, error: { code: -32602, message: `Unknown tool: ${message.params.name}` } });
+            }
+            break;
+        }
+        default:
+            send({ id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+    }
+});
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the MCP client
+ * Starts test-mcp-server.js, calls its tools through the tool executor and checks crash restarts
+ */
+
+const path = require('path');
+const chalk = require('chalk');
+const { McpManager, toolNameFor } = require('./lib/mcp');
+const { TOOL_DEFINITIONS, ToolExecutor, ApprovalWorkflow } = require('./lib/tools');
+
+const SERVERS = {
+    stub: { command: process.execPath, args: [path.join(__dirname, 'test-mcp-server.js')] },
+    missing: { command: 'grok-no-such-mcp-server' }
+};
+
+function check(label, condition) {
+    console.log(condition ? chalk.green(`✓ ${label}`) : chalk.red(`✗ ${label}`));
+    return condition;
+}
+
+async function waitFor(predicate, timeoutMs) {
+    const end = Date.now() + timeoutMs;
+    while (!predicate() && Date.now() < end) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return predicate();
+}
+
+async function runTests() {
+    console.log(chalk.bold.cyan('\n🧪 Testing MCP client\n'));
+
+    const manager = new McpManager();
+    const executor = new ToolExecutor(new ApprovalWorkflow('full-auto'));
+    const results = [];
+
+    try {
+        await manager.startAll(SERVERS);
+        const stub = manager.clients.get('stub');
+        const missing = manager.clients.get('missing');
+
+        results.push(check('stub server is ready', stub.status === 'ready'));
+        results.push(check('missing server failed to start', missing.status === 'failed'));
+        results.push(check('stub tools are registered',
+            stub.tools.every(tool => TOOL_DEFINITIONS.some(def => def.function.name === toolNameFor('stub', tool.name)))));
+
+        const echo = await executor.execute('mcp__stub__echo', { text: 'hello' });
+        results.push(check(`echo returns its text (${JSON.stringify(echo)})`, echo === 'hello'));
+
+        const sum = await executor.execute('mcp__stub__add', { a: 2, b: 3 });
+        results.push(check(`add returns the sum (${JSON.stringify(sum)})`, sum === '5'));
+
+        const failed = await executor.execute('mcp__stub__fail', {});
+        results.push(check('error results are reported as errors', Boolean(failed.error)));
+
+        const crashed = await executor.execute('mcp__stub__crash', {});
+        results.push(check('a crash fails the call', Boolean(crashed.error)));
+        results.push(check('the server restarts after a crash', await waitFor(() => stub.status === 'ready', 5000)));
+
+        const again = await executor.execute('mcp__stub__echo', { text: 'again' });
+        results.push(check('tools work after the restart', again === 'again'));
+    } finally {
+        manager.stopAll();
+    }
+
+    const passed = results.filter(Boolean).length;
+    console.log(chalk.bold(`\n${passed}/${results.length} checks passed\n`));
+    process.exit(passed === results.length ? 0 : 1);
+}
+
+runTests().catch(error => {
+    console.error(chalk.red('Test suite error:'), error);
+    process.exit(1);
+});